@@ -9,7 +9,7 @@
  * - Fast processing with 1-minute continuation intervals
  * - Batch processing to handle large Drive accounts
  * - Real-time status tracking
- * - Scheduled weekly audits
+ * - Scheduled audits (daily, weekly or monthly)
  */
 
 // ============ LICENSING ============
@@ -20,7 +20,7 @@ const SUPPORT_EMAIL = 'driveauditr@terrydjony.com';
 
 const LICENSE_BENEFITS =
   '• Unlimited audits (free version: ' + FREE_AUDIT_LIMIT + ' total)\n' +
-  '• Weekly scheduled audits\n' +
+  '• Scheduled audits (daily, weekly or monthly)\n' +
   '• Prioritized customer support: ' + SUPPORT_EMAIL + '\n' +
   '  (reply within 1-2 business days max)';
 
@@ -68,7 +68,7 @@ function activateLicense() {
  * @param {string} message    - contextual banner explaining why the dialog
  *                              appeared ('' for none)
  * @param {string} nextAction - what to do after successful activation:
- *                              'none' | 'schedule' | 'audit:<scope>'
+ *                              'none' | 'schedule' | 'audit:<scope>[:<target>]'
  */
 function showLicenseDialog(message, nextAction) {
   const template = HtmlService.createTemplateFromFile('LicenseDialog');
@@ -113,9 +113,11 @@ function continueAfterActivation(nextAction) {
   }
 
   if (nextAction === 'schedule') {
-    showScheduleConfirm();
+    showScheduleEditor();
   } else if (nextAction && nextAction.indexOf('audit:') === 0) {
-    runDriveAudit(nextAction.split(':')[1]);
+    // audit:<scope>[:<target>[:<preset>]] - preset names may contain ':'
+    const parts = nextAction.split(':');
+    runDriveAudit(parts[1], parts[2], parts.slice(3).join(':'));
   }
 }
 
@@ -138,14 +140,43 @@ function onOpen(e) {
 
   ui.createMenu('Drive Audit')
     .addSubMenu(ui.createMenu('Run Audit Now')
+      .addItem('Default Scope', 'runDriveAuditDefault')
+      .addSeparator()
       .addItem('All Drives (including shared)', 'runDriveAuditAll')
       .addItem('My Drive only (skip shared drives)', 'runDriveAuditMyDrive')
-      .addItem('Only files I own', 'runDriveAuditOwned'))
+      .addItem('Only files I own', 'runDriveAuditOwned')
+      .addItem('A folder and its subfolders…', 'runDriveAuditFolder')
+      .addItem('Selected shared drives…', 'showSharedDrivePicker')
+      .addItem('With a filter…', 'showQueryBuilder')
+      .addSeparator()
+      .addItem('Changes since last audit (incremental)', 'runDriveAuditIncremental'))
     .addItem('Check Audit Status', 'showAuditStatus')
     .addItem('Cancel Running Audit', 'cancelRunningAudit')
+    .addItem('Resume Failed Audit', 'resumeFailedAudit')
+    .addItem('Retry Audit Errors', 'retryAuditErrors')
+    .addItem('Audit History', 'showAuditHistory')
+    .addItem('Look Up Grantee Access…', 'showGranteeLookup')
+    .addItem('Export Results to Drive…', 'exportAuditResults')
     .addSeparator()
-    .addItem('Setup Weekly Schedule', 'showScheduleDialog')
-    .addItem('Remove Schedule', 'removeScheduledAudits')
+    .addSubMenu(ui.createMenu('Remediate')
+      .addItem('Remediate Selected Permissions', 'showRemediationDialog')
+      .addItem('Restrict All Public Links', 'restrictPublicLinks')
+      .addItem('Undo Selected Remediations', 'undoSelectedRemediations'))
+    .addSeparator()
+    .addSubMenu(ui.createMenu('Settings')
+      .addItem('All Settings…', 'showSettingsSidebar')
+      .addSeparator()
+      .addItem('Internal Domains', 'configureInternalDomains')
+      .addItem('Audit History Archive', 'configureAuditArchive')
+      .addItem('Email Digest', 'configureEmailDigest')
+      .addItem('Webhooks', 'configureWebhooks')
+      .addItem('Incremental Audits', 'configureIncrementalAudits')
+      .addItem('Exports', 'configureExports')
+      .addSeparator()
+      .addItem('Exceptions Sheet', 'showExceptionsSheet')
+      .addItem('Apply Exceptions Now', 'applyExceptionsNow'))
+    .addItem('Scheduled Audits…', 'showScheduleDialog')
+    .addItem('Remove All Schedules', 'removeScheduledAudits')
     .addSeparator()
     .addItem(licenseLabel, 'activateLicense')
     .addSeparator()
@@ -163,15 +194,18 @@ function onInstall(e) {
 }
 
 /**
- * Updates the audit status sheet
+ * Updates the audit status sheet. With the running audit's state, the
+ * progress rows come from describeAuditProgress; otherwise from
+ * filesProcessed / totalFiles, if a total is given.
  */
-function updateAuditStatus(status, message, filesProcessed, totalFiles) {
+function updateAuditStatus(status, message, filesProcessed, totalFiles, auditState) {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let statusSheet = ss.getSheetByName('Audit Status');
+    const statusSheetName = getOutputSheetName('status');
+    let statusSheet = ss.getSheetByName(statusSheetName);
     
     if (!statusSheet) {
-      statusSheet = ss.insertSheet('Audit Status', 0);
+      statusSheet = ss.insertSheet(statusSheetName, 0);
     }
     
     statusSheet.clear();
@@ -182,10 +216,20 @@ function updateAuditStatus(status, message, filesProcessed, totalFiles) {
       ['Current Status:', status],
       ['Last Updated:', new Date()],
       ['Message:', message],
+      ['Scope:', PropertiesService.getScriptProperties().getProperty('AUDIT_SCOPE_LABEL') || ''],
       ['', '']
     ];
+
+    // Set by startScheduledAudit when a schedule was skipped or replaced a
+    // failed audit, and kept until the next schedule starts cleanly
+    const scheduleNotice = PropertiesService.getScriptProperties().getProperty('SCHEDULE_NOTICE');
+    if (scheduleNotice) {
+      statusData.splice(statusData.length - 1, 0, ['Schedule Notice:', scheduleNotice]);
+    }
     
-    if (totalFiles > 0) {
+    if (auditState) {
+      Array.prototype.push.apply(statusData, describeAuditProgress(auditState, status));
+    } else if (totalFiles > 0) {
       statusData.push(['Files Processed:', filesProcessed + ' / ' + totalFiles]);
       statusData.push(['Progress:', Math.round((filesProcessed / totalFiles) * 100) + '%']);
     }
@@ -228,10 +272,40 @@ function updateAuditStatus(status, message, filesProcessed, totalFiles) {
  * - 'all'     : every file you can access, including shared/organizational drives (original behavior)
  * - 'myDrive' : only files in your My Drive (skips shared/organizational drives)
  * - 'owned'   : only files you own
+ * - 'folder'  : one folder and all its subfolders (target: the folder id)
+ * - 'sharedDrives' : selected shared drives (target: comma-separated drive
+ *                    ids), also reporting their members
+ * - 'incremental' : only the changes since the last audit, with the same
+ *                   scope as the last full audit (see INCREMENTAL AUDITS)
+ * "Default Scope" runs whichever of these is set in the settings sidebar.
  */
+function runDriveAuditDefault() { startAuditFromMenu(getAuditSettings().defaultScope); }
 function runDriveAuditAll() { startAuditFromMenu('all'); }
 function runDriveAuditMyDrive() { startAuditFromMenu('myDrive'); }
 function runDriveAuditOwned() { startAuditFromMenu('owned'); }
+function runDriveAuditIncremental() { startAuditFromMenu('incremental'); }
+
+/**
+ * Menu entry point: asks for a folder URL or ID and audits that folder tree.
+ */
+function runDriveAuditFolder() {
+  const ui = SpreadsheetApp.getUi();
+  const result = ui.prompt(
+    'Audit a Folder',
+    'Paste the URL or ID of the folder to audit. All of its subfolders are included, ' +
+    'also in shared drives.',
+    ui.ButtonSet.OK_CANCEL);
+  if (result.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const folderId = parseDriveId(result.getResponseText());
+  if (!folderId) {
+    ui.alert('Invalid Folder', 'That doesn\'t look like a Drive folder URL or ID.', ui.ButtonSet.OK);
+    return;
+  }
+  startAuditFromMenu('folder', folderId);
+}
 
 /**
  * License gate for audits started from the menu.
@@ -239,9 +313,9 @@ function runDriveAuditOwned() { startAuditFromMenu('owned'); }
  * tracked per user in UserProperties. Scheduled triggers call runDriveAudit
  * directly and are not counted (the schedule itself requires a license).
  */
-function startAuditFromMenu(scope) {
+function startAuditFromMenu(scope, target, preset) {
   if (isLicensed()) {
-    runDriveAudit(scope);
+    runDriveAudit(scope, target, preset);
     return;
   }
 
@@ -253,7 +327,7 @@ function startAuditFromMenu(scope) {
     showLicenseDialog(
       '🔒 You\'ve used your ' + FREE_AUDIT_LIMIT + ' free audits. ' +
       'Activate a license to keep auditing — your audit will start right after activation.',
-      'audit:' + scope);
+      'audit:' + scope + ':' + (target || '') + (preset ? ':' + preset : ''));
     return;
   }
 
@@ -272,51 +346,48 @@ function startAuditFromMenu(scope) {
     Logger.log('Could not show free-audit toast: ' + err.toString());
   }
 
-  runDriveAudit(scope);
+  runDriveAudit(scope, target, preset);
 }
 
 /**
  * Main function to audit Google Drive files and permissions
  * This version handles timeouts by processing in batches
  *
- * @param {string} scope - 'all' | 'myDrive' | 'owned'. Defaults to 'all'
- *   (e.g. when invoked by the scheduled weekly trigger).
+ * @param {string} scope  - see AUDIT_SCOPES, or 'incremental'. Defaults to
+ *   'all'.
+ * @param {string} target - the folder id for the 'folder' scope, the
+ *   comma-separated drive ids for 'sharedDrives'
+ * @param {string} preset - optional name of a saved filter preset that
+ *   narrows the scope (see QUERY FILTERS)
  */
-function runDriveAudit(scope) {
-  if (scope !== 'myDrive' && scope !== 'owned') {
-    scope = 'all';
+function runDriveAudit(scope, target, preset) {
+  if (typeof scope !== 'string') {
+    // The weekly trigger of earlier versions, which passes an event object
+    // and has no user interface; see migrateLegacySchedule
+    const docProps = PropertiesService.getDocumentProperties();
+    preset = docProps.getProperty('SCHEDULE_QUERY_PRESET') || '';
+    startScheduledAudit('Weekly audit',
+      !preset && docProps.getProperty('FULL_RESCAN_DAYS') ? 'incremental' : 'all', '', preset);
+    return;
   }
 
-  // Clear any previous audit state and record the requested scope
-  const scriptProps = PropertiesService.getScriptProperties();
-  scriptProps.deleteProperty('AUDIT_STATE');
-  scriptProps.deleteProperty('AUDIT_PAGE_TOKEN');
-  scriptProps.setProperty('AUDIT_SCOPE', scope);
-
-  Logger.log('=== DRIVE AUDIT STARTED (FRESH) ===');
-  Logger.log('Scope: ' + scope);
-  Logger.log('Start time: ' + new Date().toISOString());
-  
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
   const ui = SpreadsheetApp.getUi();
-  
-  // Update status to RUNNING
-  updateAuditStatus('RUNNING', 
-    'Audit is in progress. For large Drive accounts, this may take some time. The audit will automatically continue every minute if needed.', 
-    0, 0);
-  
+  const started = prepareAudit(scope, target, preset);
+  if (!started.success) {
+    ui.alert(started.title, started.message, ui.ButtonSet.OK);
+    return;
+  }
+
   // Show progress message
-  const scopeLabel = scope === 'myDrive'
-    ? 'My Drive only (shared drives skipped)'
-    : (scope === 'owned' ? 'Only files you own' : 'All Drives (including shared)');
+  const settings = getAuditSettings();
   ui.alert('Drive Audit',
-    'Scope: ' + scopeLabel + '\n\n' +
+    'Scope: ' + started.scopeLabel + '\n\n' +
     'Starting audit... This may take several minutes depending on the number of files.\n\n' +
     '⏳ The audit will run in the background.\n' +
-    '📊 Check the "Audit Status" sheet for progress.\n' +
+    '📊 Check the "' + settings.sheetNames.status + '" sheet for progress.\n' +
     '⏱️ For large Drive accounts (1000+ files):\n' +
-    '   • Processes ~500 files every 4.5 minutes\n' +
-    '   • Auto-continues every minute if needed\n' +
+    '   • Processes thousands of files every ' + describeMinutes(settings.maxExecutionMinutes) + '\n' +
+    '   • Auto-continues after ' + describeMinutes(settings.continuationDelayMinutes) + ' if needed\n' +
     '   • May take some time to complete\n\n' +
     'Click OK to start.',
     ui.ButtonSet.OK);
@@ -326,675 +397,6729 @@ function runDriveAudit(scope) {
 }
 
 /**
- * Processes the drive audit in batches to avoid timeouts
- * Can be called multiple times to continue where it left off
+ * Validates an audit request and records it as the new audit, replacing
+ * any previous audit state; processDriveAuditBatch then runs it. Never
+ * touches the user interface, so scheduled runs can use it.
+ *
+ * @return {Object} { success: true, scopeLabel } or
+ *                  { success: false, title, message }
  */
-function processDriveAuditBatch() {
-  Logger.log('=== BATCH PROCESSING STARTED ===');
-  Logger.log('Start time: ' + new Date().toISOString());
-  
-  const startTime = new Date().getTime();
-  const MAX_EXECUTION_TIME = 4.5 * 60 * 1000; // 4.5 minutes (leaving 1.5 min buffer)
-  
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const scriptProps = PropertiesService.getScriptProperties();
-  
-  try {
-    // Get or initialize audit state
-    let auditState = scriptProps.getProperty('AUDIT_STATE');
-    let isFirstRun = !auditState;
-    
-    if (!auditState) {
-      Logger.log('First run - initializing audit');
-      auditState = {
-        phase: 'SETUP',
-        scope: scriptProps.getProperty('AUDIT_SCOPE') || 'all',
-        totalFilesFound: 0,
-        filesProcessed: 0,
-        auditDataCount: 0,
-        pageToken: null,
-        startTime: new Date().toISOString()
-      };
-      Logger.log('Audit scope: ' + auditState.scope);
+function prepareAudit(scope, target, preset) {
+  const defaultScope = getAuditSettings().defaultScope;
+  const fallbackScope = defaultScope === 'incremental' ? 'all' : defaultScope;
+
+  // An incremental audit continues the last full audit's scope, unless a
+  // full re-scan is due (or there is no full audit to continue from)
+  let incrementalBase = null;
+  let rescanNote = '';
+  if (scope === 'incremental') {
+    const base = getIncrementalBase();
+    if (base && !isFullRescanDue(base)) {
+      incrementalBase = base;
     } else {
-      auditState = JSON.parse(auditState);
-      Logger.log('Continuing audit from phase: ' + auditState.phase);
-      Logger.log('Files processed so far: ' + auditState.filesProcessed);
+      rescanNote = base ? ' (full re-scan)' : ' (full audit: no earlier audit to compare with)';
+      Logger.log('Running a full audit instead of an incremental one' + rescanNote);
     }
-    
-    let auditSheet = ss.getSheetByName('Drive Audit');
-    
-    // SETUP PHASE
-    if (auditState.phase === 'SETUP') {
-      Logger.log('Setting up audit sheet...');
-      if (auditSheet) {
-        Logger.log('Clearing existing "Drive Audit" sheet');
-        auditSheet.clear();
-      } else {
-        Logger.log('Creating new "Drive Audit" sheet');
-        auditSheet = ss.insertSheet('Drive Audit');
-      }
-      
-      // Set up headers
-      Logger.log('Setting up headers...');
-      const headers = [
-        'File Name',
-        'Folder Path',
-        'File ID',
-        'Owner',
-        'Type',
-        'MIME Type',
-        'Created Date',
-        'Modified Date',
-        'Size (bytes)',
-        'URL',
-        'Permissions Count',
-        'Permission Type',
-        'Permission Role',
-        'Permission Email',
-        'Permission Domain',
-        'Permission Display Name'
-      ];
-      
-      auditSheet.getRange(1, 1, 1, headers.length)
-        .setValues([headers])
-        .setFontWeight('bold')
-        .setBackground('#4285f4')
-        .setFontColor('#ffffff');
-      
-      auditSheet.setFrozenRows(1);
-      Logger.log('Headers created successfully');
-      
-      auditState.phase = 'PROCESSING';
-      scriptProps.setProperty('AUDIT_STATE', JSON.stringify(auditState));
+    scope = base ? base.scope : fallbackScope;
+    target = base ? base.target : '';
+    preset = '';
+  }
+
+  if (AUDIT_SCOPES.indexOf(scope) === -1) {
+    scope = fallbackScope;
+  }
+
+  let query = '';
+  if (preset) {
+    const filters = getQueryPresets()[preset];
+    if (!filters) {
+      return {
+        success: false,
+        title: 'Filter Not Found',
+        message: 'The filter preset "' + preset + '" no longer exists. Pick another one from Run Audit Now → With a filter….'
+      };
     }
-    
-    // PROCESSING PHASE
-    if (auditState.phase === 'PROCESSING') {
-      Logger.log('Processing files...');
-      updateAuditStatus('RUNNING', 
-        'Processing files and permissions...', 
-        auditState.filesProcessed, 0);
-      
-      // Process files in batches, with automatic continuation
-      // This number is tuned to stay under the 4.5 minute limit while processing as much as possible
-      const BATCH_SIZE = 500; // Process up to 500 files at a time (or until time limit)
-      let filesInThisBatch = 0;
-      let continueProcessing = true;
+    query = buildDriveQuery(filters);
+  }
 
-      // Cache of folder id -> folder resource, to avoid re-fetching the same
-      // ancestor folders when resolving full folder paths within this run.
-      const folderCache = {};
-      
-      while (continueProcessing && filesInThisBatch < BATCH_SIZE) {
-        // Check execution time
-        const elapsedTime = new Date().getTime() - startTime;
-        if (elapsedTime > MAX_EXECUTION_TIME) {
-          Logger.log('Approaching timeout limit. Saving state and scheduling continuation...');
-          scriptProps.setProperty('AUDIT_STATE', JSON.stringify(auditState));
-          scheduleAuditContinuation();
-          return;
-        }
-        
-        // Get next batch of files
-        const filesBatch = getDriveFilesBatch(auditState.pageToken, 100, auditState.scope);
-        
-        if (!filesBatch || !filesBatch.files || filesBatch.files.length === 0) {
-          Logger.log('No more files to process');
-          auditState.phase = 'FINALIZING';
-          break;
-        }
-        
-        Logger.log('Processing batch of ' + filesBatch.files.length + ' files');
-        
-        // Process files
-        const auditData = [];
-        filesBatch.files.forEach(function(file) {
-          auditState.filesProcessed++;
-          filesInThisBatch++;
-          
-          const permissions = getFilePermissions(file.id);
-          const folderPath = getFolderPath(file.parents, folderCache);
-
-          if (permissions.length === 0) {
-            auditData.push([
-              file.name,
-              folderPath,
-              file.id,
-              file.owners && file.owners.length > 0 ? file.owners[0].emailAddress : 'Unknown',
-              getFileType(file),
-              file.mimeType,
-              file.createdTime ? new Date(file.createdTime) : '',
-              file.modifiedTime ? new Date(file.modifiedTime) : '',
-              file.size || '',
-              file.webViewLink || '',
-              0,
-              '',
-              '',
-              '',
-              '',
-              ''
-            ]);
-          } else {
-            permissions.forEach(function(permission) {
-              auditData.push([
-                file.name,
-                folderPath,
-                file.id,
-                file.owners && file.owners.length > 0 ? file.owners[0].emailAddress : 'Unknown',
-                getFileType(file),
-                file.mimeType,
-                file.createdTime ? new Date(file.createdTime) : '',
-                file.modifiedTime ? new Date(file.modifiedTime) : '',
-                file.size || '',
-                file.webViewLink || '',
-                permissions.length,
-                permission.type,
-                permission.role,
-                permission.emailAddress || '',
-                permission.domain || '',
-                permission.displayName || ''
-              ]);
-            });
-          }
-        });
-        
-        // Write data to sheet
-        if (auditData.length > 0) {
-          const lastRow = auditSheet.getLastRow();
-          auditSheet.getRange(lastRow + 1, 1, auditData.length, 16).setValues(auditData);
-          auditState.auditDataCount += auditData.length;
-          Logger.log('Wrote ' + auditData.length + ' rows. Total rows: ' + auditState.auditDataCount);
-        }
-        
-        // Update page token
-        auditState.pageToken = filesBatch.nextPageToken;
-        
-        // Update status every 50 files
-        if (auditState.filesProcessed % 50 === 0) {
-          updateAuditStatus('RUNNING', 'Processing files... ' + auditState.filesProcessed + ' files processed', auditState.filesProcessed, 0);
-        }
-        
-        // Check if there are more pages
-        if (!auditState.pageToken) {
-          Logger.log('All files processed');
-          auditState.phase = 'FINALIZING';
-          continueProcessing = false;
-        }
-        
-        // Save state periodically
-        scriptProps.setProperty('AUDIT_STATE', JSON.stringify(auditState));
-      }
-      
-      // If still processing, schedule continuation
-      if (auditState.phase === 'PROCESSING') {
-        Logger.log('Batch complete. Files processed in this run: ' + filesInThisBatch);
-        Logger.log('Total files processed: ' + auditState.filesProcessed);
-        scriptProps.setProperty('AUDIT_STATE', JSON.stringify(auditState));
-        scheduleAuditContinuation();
-        return;
-      }
+  let targetId = '';
+  let targetName = '';
+  if (scope === 'folder') {
+    const folder = getAuditFolder(target);
+    if (!folder) {
+      return {
+        success: false,
+        title: 'Folder Not Found',
+        message: 'The folder "' + target + '" doesn\'t exist, isn\'t a folder, or you don\'t have access to it.'
+      };
     }
-    
-    // FINALIZING PHASE
-    if (auditState.phase === 'FINALIZING') {
-      Logger.log('Finalizing audit...');
-      updateAuditStatus('RUNNING', 'Finalizing audit...', auditState.filesProcessed, auditState.filesProcessed);
-      
-      // Auto-resize columns and add filter
-      auditSheet = ss.getSheetByName('Drive Audit');
-      const lastRow = auditSheet.getLastRow();
-      
-      if (lastRow > 1) {
-        Logger.log('Auto-resizing columns...');
-        for (let i = 1; i <= 16; i++) {
-          auditSheet.autoResizeColumn(i);
-        }
+    targetId = folder.id;
+    targetName = folder.name;
+  } else if (scope === 'sharedDrives') {
+    const drives = getSharedDrives(String(target || '').split(','));
+    if (drives.length === 0) {
+      return {
+        success: false,
+        title: 'No Shared Drives',
+        message: 'None of the selected shared drives could be found. Pick them again from the menu.'
+      };
+    }
+    targetId = drives.map(function(drive) { return drive.id; }).join(',');
+    targetName = drives.map(function(drive) { return drive.name; }).join(', ');
+  }
+  const scopeLabel = describeAuditScope(scope, targetName) +
+    (preset ? ' (filter: ' + preset + ')' : '') +
+    (incrementalBase ? ' (changes since last audit)' : rescanNote);
 
-        Logger.log('Adding filter...');
-        auditSheet.getRange(1, 1, lastRow, 16).createFilter();
-      }
-      
-      // Create summary
-      Logger.log('Creating summary sheet...');
-      let summarySheet = ss.getSheetByName('Audit Summary');
-      if (summarySheet) {
-        summarySheet.clear();
-      } else {
-        summarySheet = ss.insertSheet('Audit Summary', 0);
-      }
-      
-      createSummary(summarySheet, auditState.filesProcessed, auditState.auditDataCount);
-      
-      const endTime = new Date();
-      const totalDuration = (new Date(endTime) - new Date(auditState.startTime)) / 1000;
-      
-      Logger.log('=== AUDIT COMPLETED SUCCESSFULLY ===');
-      Logger.log('End time: ' + endTime.toISOString());
-      Logger.log('Total duration: ' + totalDuration + ' seconds');
-      Logger.log('Files audited: ' + auditState.filesProcessed);
-      Logger.log('Permission entries: ' + auditState.auditDataCount);
-      
-      // Update status to COMPLETED
-      updateAuditStatus('COMPLETED', 
-        'Audit completed successfully! ' +
-        'Files audited: ' + auditState.filesProcessed + ', ' +
-        'Permission entries: ' + auditState.auditDataCount + ', ' +
-        'Duration: ' + Math.round(totalDuration) + ' seconds',
-        auditState.filesProcessed, auditState.filesProcessed);
-      
-      // Clear audit state
-      scriptProps.deleteProperty('AUDIT_STATE');
-      scriptProps.deleteProperty('AUDIT_PAGE_TOKEN');
-      scriptProps.deleteProperty('AUDIT_SCOPE');
+  // Clear any previous audit state and record the requested scope
+  const scriptProps = PropertiesService.getScriptProperties();
+  clearAuditState();
+  scriptProps.setProperty('AUDIT_SCOPE', scope);
+  scriptProps.setProperty('AUDIT_SCOPE_LABEL', scopeLabel);
+  if (targetId) {
+    scriptProps.setProperty('AUDIT_SCOPE_TARGET', targetId);
+  } else {
+    scriptProps.deleteProperty('AUDIT_SCOPE_TARGET');
+  }
+  if (query) {
+    // Built once here so relative dates ("last 30 days") stay fixed for the run
+    scriptProps.setProperty('AUDIT_QUERY', query);
+  }
+  if (incrementalBase) {
+    scriptProps.setProperty('AUDIT_INCREMENTAL', JSON.stringify(incrementalBase));
+  }
 
-      // Delete continuation triggers
-      deleteContinuationTriggers();
-      
-      Logger.log('Audit complete and state cleared');
-    }
-      
-  } catch (error) {
-    Logger.log('=== ERROR DURING AUDIT ===');
-    Logger.log('Error: ' + error.toString());
-    Logger.log('Stack trace: ' + error.stack);
-    
-    // Update status to ERROR
-    updateAuditStatus('ERROR', 'An error occurred during the audit: ' + error.toString(), 0, 0);
-    
-    // Clear state on error
-    scriptProps.deleteProperty('AUDIT_STATE');
-    scriptProps.deleteProperty('AUDIT_PAGE_TOKEN');
-    scriptProps.deleteProperty('AUDIT_SCOPE');
-    deleteContinuationTriggers();
+  Logger.log('=== DRIVE AUDIT STARTED (FRESH) ===');
+  Logger.log('Scope: ' + scopeLabel);
+  if (query) {
+    Logger.log('Query: ' + query);
   }
+  Logger.log('Start time: ' + new Date().toISOString());
+  
+  // Update status to RUNNING
+  updateAuditStatus('RUNNING', 
+    'Audit is in progress. For large Drive accounts, this may take some time. The audit will automatically continue after ' +
+    describeMinutes(getAuditSettings().continuationDelayMinutes) + ' if needed.', 
+    0, 0);
+  notifyWebhooks('audit.started', { scope: scope, scopeLabel: scopeLabel, startTime: new Date().toISOString() });
+  return { success: true, scopeLabel: scopeLabel };
 }
 
 /**
- * Schedules the audit to continue
- * Uses 1-minute intervals for fast processing
+ * Audit scopes accepted by runDriveAudit; see the menu wrappers above.
  */
-function scheduleAuditContinuation() {
-  Logger.log('Scheduling audit continuation...');
-  
-  try {
-    // Delete any existing continuation triggers
-    deleteContinuationTriggers();
-    
-    // Use 1-minute intervals for fast continuation
-    const CONTINUATION_DELAY_MINUTES = 1;
-    
-    ScriptApp.newTrigger('processDriveAuditBatch')
-      .timeBased()
-      .after(CONTINUATION_DELAY_MINUTES * 60 * 1000)
-      .create();
-    
-    Logger.log('Audit continuation scheduled for ' + CONTINUATION_DELAY_MINUTES + ' minute from now');
-    updateAuditStatus('RUNNING', 
-      'Audit in progress. Will continue automatically in ' + CONTINUATION_DELAY_MINUTES + ' minute. ' +
-      'Check back later for results.',
-      0, 0);
-    
-  } catch (error) {
-    Logger.log('Error scheduling continuation: ' + error.toString());
+const AUDIT_SCOPES = ['all', 'myDrive', 'owned', 'folder', 'sharedDrives'];
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Human-readable audit scope, shown in dialogs and the status and summary
+ * sheets.
+ *
+ * @param {string} scope      - see AUDIT_SCOPES
+ * @param {string} targetName - name of the audited folder ('folder' scope)
+ *                              or drives ('sharedDrives' scope)
+ */
+function describeAuditScope(scope, targetName) {
+  if (scope === 'myDrive') {
+    return 'My Drive only (shared drives skipped)';
+  } else if (scope === 'owned') {
+    return 'Only files you own';
+  } else if (scope === 'folder') {
+    return 'Folder "' + targetName + '" and its subfolders';
+  } else if (scope === 'sharedDrives') {
+    return 'Shared drives: ' + targetName;
   }
+  return 'All Drives (including shared)';
 }
 
 /**
- * Deletes all continuation triggers
+ * Extracts a Drive file or folder id from a pasted URL or id, or returns ''.
  */
-function deleteContinuationTriggers() {
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(function(trigger) {
-    if (trigger.getHandlerFunction() === 'processDriveAuditBatch') {
-      ScriptApp.deleteTrigger(trigger);
-    }
-  });
+function parseDriveId(text) {
+  text = String(text || '').trim();
+  const match = text.match(/\/folders\/([\w-]+)/) ||
+    text.match(/\/d\/([\w-]+)/) ||
+    text.match(/[?&]id=([\w-]+)/) ||
+    text.match(/^([\w-]{10,})$/);
+  return match ? match[1] : '';
 }
 
 /**
- * Gets a batch of files from Google Drive
+ * Looks up the folder for a 'folder' scope audit, or returns null if it
+ * doesn't exist, isn't a folder or isn't accessible.
  *
- * @param {string} pageToken - Drive API page token (null for first page)
- * @param {number} pageSize  - files per page
- * @param {string} scope     - 'all' | 'myDrive' | 'owned'
+ * @return {Object} { id, name, driveId } (driveId only for shared drives)
  */
-function getDriveFilesBatch(pageToken, pageSize, scope) {
-  scope = scope || 'all';
-  Logger.log('Fetching batch of files. Scope: ' + scope + ', PageToken: ' + (pageToken || 'null'));
-
+function getAuditFolder(folderId) {
+  if (!folderId) {
+    return null;
+  }
   try {
-    const params = {
-      pageSize: pageSize || 100,
-      fields: 'nextPageToken, files(id, name, mimeType, owners, createdTime, modifiedTime, size, webViewLink, permissions, parents)',
-      pageToken: pageToken
-    };
-
-    if (scope === 'all') {
+    const folder = Drive.Files.get(folderId, {
+      fields: 'id, name, mimeType, driveId, trashed',
+      supportsAllDrives: true
+    });
+    return folder.mimeType === FOLDER_MIME_TYPE && !folder.trashed ? folder : null;
+  } catch (error) {
+    Logger.log('WARNING: could not read folder ' + folderId + ': ' + error.toString());
+    return null;
+  }
+}
+
+// ============ AUDIT STATE ============
+
+/**
+ * Script properties hold at most 500 KB in total, which the folder queues
+ * of a deep or wide folder tree can outgrow. The queues of a 'folder' scope
+ * audit (and of its file count, see PROGRESS) are kept in this hidden sheet
+ * instead, one folder id per row in the column named after the queue.
+ */
+const FOLDER_QUEUE_SHEET_NAME = 'Audit Folder Queue';
+const FOLDER_QUEUE_KEYS = ['AUDIT_FOLDER_QUEUE', 'AUDIT_COUNT_QUEUE'];
+
+function saveFolderQueue(key, folderIds) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(FOLDER_QUEUE_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(FOLDER_QUEUE_SHEET_NAME);
+    sheet.hideSheet();
+    sheet.getRange(1, 1, 1, FOLDER_QUEUE_KEYS.length).setValues([FOLDER_QUEUE_KEYS]);
+  }
+
+  const column = FOLDER_QUEUE_KEYS.indexOf(key) + 1;
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, column, sheet.getLastRow() - 1, 1).clearContent();
+  }
+  if (folderIds.length === 0) {
+    return;
+  }
+  if (sheet.getMaxRows() < folderIds.length + 1) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), folderIds.length + 1 - sheet.getMaxRows());
+  }
+  sheet.getRange(2, column, folderIds.length, 1).setValues(folderIds.map(function(id) { return [id]; }));
+}
+
+function loadFolderQueue(key) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FOLDER_QUEUE_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+  const column = FOLDER_QUEUE_KEYS.indexOf(key) + 1;
+  return sheet.getRange(2, column, sheet.getLastRow() - 1, 1).getValues()
+    .map(function(row) { return String(row[0]); })
+    .filter(String);
+}
+
+function deleteFolderQueues() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(FOLDER_QUEUE_SHEET_NAME);
+  if (sheet) {
+    ss.deleteSheet(sheet);
+  }
+}
+
+/**
+ * Reads the running audit's state, or null if no audit is running. The
+ * folder queues of a 'folder' scope audit are stored separately (see
+ * FOLDER_QUEUE_SHEET_NAME) and merged back in.
+ */
+function loadAuditState() {
+  const raw = PropertiesService.getScriptProperties().getProperty('AUDIT_STATE');
+  if (!raw) {
+    return null;
+  }
+  const auditState = JSON.parse(raw);
+  if (auditState.scope === 'folder') {
+    auditState.folderQueue = loadFolderQueue('AUDIT_FOLDER_QUEUE');
+    if (auditState.fileCount) {
+      auditState.fileCount.folderQueue = loadFolderQueue('AUDIT_COUNT_QUEUE');
+    }
+  }
+  return auditState;
+}
+
+/**
+ * Saves the running audit's state; see loadAuditState. Never throws: when
+ * the state can't be saved, the last saved checkpoint is marked failed
+ * (see markAuditStateFailed), so the audit can be resumed from there, and
+ * so is auditState.
+ *
+ * @return {boolean} whether the state was saved
+ */
+function saveAuditState(auditState) {
+  try {
+    const copy = Object.assign({}, auditState);
+    if (copy.folderQueue) {
+      saveFolderQueue('AUDIT_FOLDER_QUEUE', copy.folderQueue);
+      delete copy.folderQueue;
+    }
+    if (copy.fileCount && copy.fileCount.folderQueue) {
+      saveFolderQueue('AUDIT_COUNT_QUEUE', copy.fileCount.folderQueue);
+      copy.fileCount = Object.assign({}, copy.fileCount);
+      delete copy.fileCount.folderQueue;
+    }
+    PropertiesService.getScriptProperties().setProperty('AUDIT_STATE', JSON.stringify(copy));
+    return true;
+  } catch (error) {
+    Logger.log('ERROR: could not save the audit state: ' + error.toString());
+    const message = 'Could not save the audit progress: ' + error.toString();
+    markAuditStateFailed(message);
+    auditState.failed = { error: message, time: new Date().toISOString() };
+    return false;
+  }
+}
+
+/**
+ * processDriveAuditBatch's saveAuditState: a failed save ends the run
+ * through its error handling, which reports the failure.
+ */
+function saveAuditCheckpoint(auditState) {
+  if (!saveAuditState(auditState)) {
+    throw new Error(auditState.failed.error);
+  }
+}
+
+/**
+ * Marks the last saved checkpoint as failed, without saving anything else,
+ * so "Resume Failed Audit" continues from it.
+ *
+ * @param {string} message - the error
+ * @return {Object} the failed audit state, or null if none was saved
+ */
+function markAuditStateFailed(message) {
+  const scriptProps = PropertiesService.getScriptProperties();
+  const raw = scriptProps.getProperty('AUDIT_STATE');
+  if (!raw) {
+    return null;
+  }
+  const stored = JSON.parse(raw);
+  stored.failed = { error: message, time: new Date().toISOString() };
+  scriptProps.setProperty('AUDIT_STATE', JSON.stringify(stored));
+  return loadAuditState();
+}
+
+/**
+ * Forgets the running audit. AUDIT_SCOPE_LABEL is kept: it describes the
+ * latest audit in the status and summary sheets.
+ */
+function clearAuditState() {
+  const scriptProps = PropertiesService.getScriptProperties();
+  scriptProps.deleteProperty('AUDIT_STATE');
+  scriptProps.deleteProperty('AUDIT_PAGE_TOKEN');
+  scriptProps.deleteProperty('AUDIT_SCOPE');
+  scriptProps.deleteProperty('AUDIT_SCOPE_TARGET');
+  scriptProps.deleteProperty('AUDIT_QUERY');
+  scriptProps.deleteProperty('AUDIT_INCREMENTAL');
+  deleteFolderQueues();
+  clearFolderCache();
+}
+
+/**
+ * Called when the current listing is exhausted. A 'folder' scope audit
+ * moves on to the next queued subfolder, a 'sharedDrives' audit to the
+ * next selected drive. Returns false when there is nothing left (always
+ * for other scopes), i.e. the audit has seen every file.
+ */
+function advanceAuditSource(auditState) {
+  if (auditState.scope === 'folder' && auditState.folderQueue.length > 0) {
+    auditState.currentFolderId = auditState.folderQueue.shift();
+    auditState.pageToken = null;
+    Logger.log('Moving on to folder ' + auditState.currentFolderId + ' (' +
+      auditState.folderQueue.length + ' more queued)');
+    return true;
+  }
+
+  if (auditState.scope === 'sharedDrives' && auditState.driveIndex < auditState.driveIds.length - 1) {
+    auditState.driveIndex++;
+    auditState.driveId = auditState.driveIds[auditState.driveIndex];
+    auditState.pageToken = null;
+    Logger.log('Moving on to shared drive ' + auditState.driveId + ' (' +
+      (auditState.driveIndex + 1) + ' of ' + auditState.driveIds.length + ')');
+    return true;
+  }
+
+  return false;
+}
+
+// ============ PROGRESS ============
+
+/**
+ * Before and between batches, a full audit counts the files in its scope
+ * by listing only their ids, which is much faster than auditing them, so
+ * the status sheet can show a real percentage. Each run counts for at
+ * most this long; a large Drive is counted over several runs.
+ */
+const FILE_COUNT_TIME_BUDGET_MS = 30 * 1000;
+const FILE_COUNT_PAGE_SIZE = 1000;
+
+/**
+ * How often the status sheet is refreshed while files are processed.
+ */
+const STATUS_UPDATE_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Starts the file count of a new full audit: a cursor over the same
+ * listings the audit walks (see advanceAuditSource).
+ */
+function startFileCount(auditState) {
+  auditState.totalFilesFound = 0;
+  auditState.fileCount = {
+    scope: auditState.scope,
+    query: auditState.query,
+    pageToken: null,
+    currentFolderId: auditState.currentFolderId || null,
+    folderQueue: [],
+    driveIds: auditState.driveIds || null,
+    driveIndex: 0,
+    driveId: auditState.driveId || null
+  };
+}
+
+/**
+ * Continues the file count for up to budgetMs. When every listing has been
+ * counted, auditState.fileCount is dropped and totalFilesFound is final.
+ * A failed listing only stops counting until the next run.
+ */
+function countAuditFiles(auditState, budgetMs) {
+  const count = auditState.fileCount;
+  if (!count) {
+    return;
+  }
+
+  const started = new Date().getTime();
+  try {
+    while (new Date().getTime() - started < budgetMs) {
+      const response = getDriveFilesBatch(count.pageToken, FILE_COUNT_PAGE_SIZE, count.scope, {
+        folderId: count.currentFolderId,
+        driveId: count.driveId,
+        query: count.query,
+        fields: 'id, mimeType'
+      });
+      (response.files || []).forEach(function(file) {
+        auditState.totalFilesFound++;
+        if (count.scope === 'folder' && file.mimeType === FOLDER_MIME_TYPE) {
+          count.folderQueue.push(file.id);
+        }
+      });
+
+      count.pageToken = response.nextPageToken || null;
+      if (!count.pageToken && !advanceAuditSource(count)) {
+        delete auditState.fileCount;
+        saveFolderQueue('AUDIT_COUNT_QUEUE', []);
+        Logger.log('Counted ' + auditState.totalFilesFound + ' files in scope');
+        return;
+      }
+    }
+  } catch (error) {
+    Logger.log('WARNING: counting files stopped early: ' + error.toString());
+  }
+  Logger.log('Counted ' + auditState.totalFilesFound + ' files so far; counting continues in the next run');
+}
+
+/**
+ * Rows for the status sheet describing how far the audit is: files
+ * processed out of the counted total, elapsed time, throughput, number of
+ * runs and, while running, the projected completion.
+ *
+ * Throughput is measured over the elapsed time, pauses between runs
+ * included, so the projection accounts for them too.
+ */
+function describeAuditProgress(auditState, status) {
+  const now = new Date().getTime();
+  const elapsedMs = now - new Date(auditState.startTime).getTime();
+  const processed = auditState.filesProcessed;
+  const total = auditState.mode === 'incremental' || auditState.fileCount ? 0 : auditState.totalFilesFound;
+  const rows = [];
+
+  if (auditState.mode === 'incremental') {
+    rows.push(['Files Processed:', processed + ' changed files']);
+  } else if (total > 0) {
+    // Files added while the audit runs can push it past the count
+    let percent = Math.min(100, Math.round(processed / total * 100));
+    if (status === 'RUNNING') {
+      percent = Math.min(percent, 99);
+    } else if (status === 'COMPLETED') {
+      percent = 100;
+    }
+    rows.push(['Files Processed:', processed + ' / ' + Math.max(total, processed)]);
+    rows.push(['Progress:', percent + '%']);
+  } else {
+    rows.push(['Files Processed:', processed + (auditState.fileCount
+      ? ' (still counting: at least ' + auditState.totalFilesFound + ' files in scope)'
+      : '')]);
+  }
+
+  rows.push(['Elapsed:', formatDuration(elapsedMs)]);
+  rows.push(['Throughput:', formatFilesPerMinute(processed, elapsedMs)]);
+  rows.push(['Continuation Runs:', (auditState.runs || 1) - 1]);
+
+  if (status === 'RUNNING') {
+    if (total > 0 && processed > 0) {
+      const remainingMs = Math.max(0, total - processed) / processed * elapsedMs;
+      rows.push(['Time Remaining:', '~' + formatDuration(remainingMs)]);
+      rows.push(['Projected Completion:', new Date(now + remainingMs)]);
+    } else {
+      rows.push(['Time Remaining:', auditState.mode === 'incremental'
+        ? 'Unknown until all changes are read'
+        : 'Estimating... (still counting files)']);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Formats a duration, e.g. "1h 05m", "4m 30s" or "45s".
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds % 3600 / 60);
+  if (hours > 0) {
+    return hours + 'h ' + (minutes < 10 ? '0' : '') + minutes + 'm';
+  }
+  if (minutes > 0) {
+    return minutes + 'm ' + (seconds % 60) + 's';
+  }
+  return seconds + 's';
+}
+
+// ============ FOLDER CACHE ============
+
+/**
+ * The folder id -> folder map used to resolve folder paths is kept in the
+ * script cache between continuation runs, so ancestors are fetched once
+ * per audit instead of once per run. Cache values hold at most 100 KB, so
+ * the map is split like chunked properties; chunks are counted in
+ * characters, leaving room for multi-byte folder names.
+ */
+const FOLDER_CACHE_KEY = 'AUDIT_FOLDER_CACHE';
+const FOLDER_CACHE_CHUNK_SIZE = 30000;
+const FOLDER_CACHE_TTL_SECONDS = 6 * 60 * 60; // the most CacheService allows
+
+/**
+ * Time SETUP may spend pre-loading folders; larger Drives resolve the rest
+ * on demand.
+ */
+const FOLDER_PRELOAD_TIME_BUDGET_MS = 60 * 1000;
+
+/**
+ * Reads the folder cache saved by an earlier run of this audit. Returns an
+ * empty cache when there is none or part of it was evicted.
+ *
+ * @return {Object} folder id -> { id, name, parents } (null if unreadable)
+ */
+function loadFolderCache() {
+  const cache = CacheService.getScriptCache();
+  const count = parseInt(cache.get(FOLDER_CACHE_KEY + '_CHUNKS') || '0', 10);
+  if (!count) {
+    return {};
+  }
+
+  const keys = [];
+  for (let i = 0; i < count; i++) {
+    keys.push(FOLDER_CACHE_KEY + '_' + i);
+  }
+  const chunks = cache.getAll(keys);
+  if (Object.keys(chunks).length !== count) {
+    Logger.log('Folder cache was partly evicted; rebuilding it');
+    return {};
+  }
+
+  // Stored compactly as id -> [name, parentId], or 0 for unreadable folders
+  const compact = JSON.parse(keys.map(function(key) { return chunks[key]; }).join(''));
+  const folderCache = {};
+  Object.keys(compact).forEach(function(id) {
+    const entry = compact[id];
+    folderCache[id] = entry ? { id: id, name: entry[0], parents: entry[1] ? [entry[1]] : [] } : null;
+  });
+  Logger.log('Loaded ' + Object.keys(folderCache).length + ' cached folders');
+  return folderCache;
+}
+
+/**
+ * Saves the folder cache for the next run of this audit; see loadFolderCache.
+ */
+function saveFolderCache(folderCache) {
+  const compact = {};
+  Object.keys(folderCache).forEach(function(id) {
+    const folder = folderCache[id];
+    compact[id] = folder
+      ? [folder.name, folder.parents && folder.parents.length > 0 ? folder.parents[0] : '']
+      : 0;
+  });
+
+  const value = JSON.stringify(compact);
+  const chunks = {};
+  let count = 0;
+  for (let i = 0; i < value.length; i += FOLDER_CACHE_CHUNK_SIZE) {
+    chunks[FOLDER_CACHE_KEY + '_' + count] = value.substring(i, i + FOLDER_CACHE_CHUNK_SIZE);
+    count++;
+  }
+  chunks[FOLDER_CACHE_KEY + '_CHUNKS'] = String(count);
+
+  try {
+    CacheService.getScriptCache().putAll(chunks, FOLDER_CACHE_TTL_SECONDS);
+  } catch (error) {
+    // Only a speed-up: the next run resolves folders again
+    Logger.log('WARNING: could not save the folder cache: ' + error.toString());
+  }
+}
+
+/**
+ * Forgets the folder cache, so folder renames and moves show up in the
+ * next audit.
+ */
+function clearFolderCache() {
+  const cache = CacheService.getScriptCache();
+  const count = parseInt(cache.get(FOLDER_CACHE_KEY + '_CHUNKS') || '0', 10);
+  const keys = [FOLDER_CACHE_KEY + '_CHUNKS'];
+  for (let i = 0; i < count; i++) {
+    keys.push(FOLDER_CACHE_KEY + '_' + i);
+  }
+  cache.removeAll(keys);
+}
+
+/**
+ * Fills the folder cache with one folder-only listing, so that resolving
+ * folder paths during the audit rarely needs an API call. Stops after
+ * FOLDER_PRELOAD_TIME_BUDGET_MS; folders not loaded by then are fetched
+ * on demand.
+ *
+ * @param {string} scope - see AUDIT_SCOPES; My Drive scopes skip shared drives
+ */
+function preloadFolderCache(scope) {
+  const started = new Date().getTime();
+  const folderCache = {};
+  const params = {
+    q: "mimeType = '" + FOLDER_MIME_TYPE + "'",
+    pageSize: 1000,
+    fields: 'nextPageToken, files(id, name, parents)'
+  };
+  if (scope === 'myDrive' || scope === 'owned') {
+    params.corpora = 'user';
+  } else {
+    params.corpora = 'allDrives';
+    params.supportsAllDrives = true;
+    params.includeItemsFromAllDrives = true;
+  }
+
+  try {
+    do {
+      const response = callDriveWithRetry(function() {
+        return Drive.Files.list(params);
+      }, 'Listing folders');
+      (response.files || []).forEach(function(folder) {
+        folderCache[folder.id] = folder;
+      });
+      params.pageToken = response.nextPageToken;
+    } while (params.pageToken && new Date().getTime() - started < FOLDER_PRELOAD_TIME_BUDGET_MS);
+  } catch (error) {
+    Logger.log('WARNING: folder pre-load stopped early: ' + error.toString());
+  }
+
+  Logger.log('Pre-loaded ' + Object.keys(folderCache).length + ' folders in ' +
+    Math.round((new Date().getTime() - started) / 1000) + 's' +
+    (params.pageToken ? ' (time budget reached, the rest load on demand)' : ''));
+  saveFolderCache(folderCache);
+}
+
+// ============ AUDIT PROCESSING ============
+
+/**
+ * Columns of the "Drive Audit" sheet, in order. buildAuditRow must return
+ * values in the same order.
+ */
+const AUDIT_HEADERS = [
+  'File Name',
+  'Folder Path',
+  'File ID',
+  'Owner',
+  'Type',
+  'MIME Type',
+  'Created Date',
+  'Modified Date',
+  'Size (bytes)',
+  'URL',
+  'Permissions Count',
+  'Permission Type',
+  'Permission Role',
+  'Permission Email',
+  'Permission Domain',
+  'Permission Display Name',
+  'Sharing Scope',
+  'Permission ID',
+  'Expiration Time',
+  'Discoverable',
+  'Pending Owner',
+  'Deleted Account',
+  'Permission Details',
+  'Folder Drift',
+  'Audit Error',
+  'Exception',
+  'Remediate',
+  'Remediation Result'
+];
+
+/**
+ * Builds one "Drive Audit" row for a file and one of its permissions.
+ *
+ * @param {Object}   file        - Drive file resource
+ * @param {Object[]} permissions - all permissions of the file, or null if
+ *                                 they couldn't be read
+ * @param {Object}   permission  - the permission for this row, or null for
+ *                                 a file without (readable) permissions
+ * @param {Object}   context     - per-file values shared by all its rows:
+ *   folderPath        - see getFolderPath
+ *   internalDomains   - see getInternalDomains
+ *   folderPermissions - permissions of the parent folder, or null to skip
+ *                       drift detection (see getFolderPermissions)
+ *   auditError        - what couldn't be read for this file, or ''
+ */
+function buildAuditRow(file, permissions, permission, context) {
+  return [
+    file.name,
+    context.folderPath,
+    file.id,
+    file.owners && file.owners.length > 0 ? file.owners[0].emailAddress : 'Unknown',
+    getFileType(file),
+    file.mimeType,
+    file.createdTime ? new Date(file.createdTime) : '',
+    file.modifiedTime ? new Date(file.modifiedTime) : '',
+    file.size || '',
+    file.webViewLink || '',
+    permissions ? permissions.length : '',
+    permission ? permission.type : '',
+    permission ? permission.role : '',
+    permission ? permission.emailAddress || '' : '',
+    permission ? permission.domain || '' : '',
+    permission ? permission.displayName || '' : '',
+    permissions ? getSharingScope(permission, context.internalDomains) : SHARING_SCOPES.UNKNOWN,
+    permission ? permission.id || '' : '',
+    permission && permission.expirationTime ? new Date(permission.expirationTime) : '',
+    permission ? formatYesNo(permission.allowFileDiscovery) : '',
+    permission ? formatYesNo(permission.pendingOwner) : '',
+    permission && permission.deleted ? 'Yes' : '',
+    permission ? formatPermissionDetails(permission.permissionDetails) : '',
+    permission ? getPermissionDrift(permission, context.folderPermissions) : '',
+    context.auditError || '',
+    '', // Exception: set for all rows when the audit finalizes
+    false,
+    ''
+  ];
+}
+
+/**
+ * 'Yes' / 'No' for a boolean API field, '' when the API omits it (e.g.
+ * allowFileDiscovery only exists on domain and anyone permissions).
+ */
+function formatYesNo(value) {
+  if (value === true) {
+    return 'Yes';
+  }
+  return value === false ? 'No' : '';
+}
+
+/**
+ * Flattens permission.permissionDetails (shared drive items) into text,
+ * e.g. "member: writer (inherited from 0AFx...); file: commenter".
+ */
+function formatPermissionDetails(details) {
+  if (!details || details.length === 0) {
+    return '';
+  }
+  return details.map(function(detail) {
+    return detail.permissionType + ': ' + detail.role +
+      (detail.inherited ? ' (inherited' + (detail.inheritedFrom ? ' from ' + detail.inheritedFrom : '') + ')' : '');
+  }).join('; ');
+}
+
+/**
+ * 1-based column of a header in row 1 of a sheet, or 0 if it's missing.
+ */
+function getHeaderColumn(sheet, header) {
+  if (sheet.getLastColumn() === 0) {
+    return 0;
+  }
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  return headers.indexOf(header) + 1;
+}
+
+/**
+ * Final formatting of a filled "Drive Audit" sheet: auto-sized columns,
+ * a filter over all rows, checkboxes in the "Remediate" column and the
+ * columns hidden in the settings.
+ */
+function formatAuditSheet(auditSheet) {
+  const lastRow = auditSheet.getLastRow();
+  const lastColumn = auditSheet.getLastColumn();
+  if (lastRow <= 1) {
+    return;
+  }
+
+  Logger.log('Auto-resizing columns...');
+  for (let i = 1; i <= lastColumn; i++) {
+    auditSheet.autoResizeColumn(i);
+  }
+
+  Logger.log('Adding filter...');
+  if (auditSheet.getFilter()) {
+    auditSheet.getFilter().remove();
+  }
+  auditSheet.getRange(1, 1, lastRow, lastColumn).createFilter();
+
+  const remediateColumn = getHeaderColumn(auditSheet, 'Remediate');
+  if (remediateColumn) {
+    auditSheet.getRange(2, remediateColumn, lastRow - 1, 1).insertCheckboxes();
+  }
+
+  // Highlight rows whose file couldn't be fully read
+  const errorColumn = getHeaderColumn(auditSheet, 'Audit Error');
+  if (errorColumn) {
+    const errorRule = SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied('=$' + getColumnLetter(errorColumn) + '2<>""')
+      .setBackground('#f4c7c3')
+      .setRanges([auditSheet.getRange(2, 1, lastRow - 1, lastColumn)])
+      .build();
+    auditSheet.setConditionalFormatRules([errorRule]);
+  }
+
+  applyAuditColumnVisibility(auditSheet, getAuditSettings().hiddenColumns);
+}
+
+/**
+ * A1 letter(s) of a 1-based column, e.g. 27 -> "AA".
+ */
+function getColumnLetter(column) {
+  let letter = '';
+  while (column > 0) {
+    const remainder = (column - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Processes the drive audit in batches to avoid timeouts
+ * Can be called multiple times to continue where it left off
+ */
+function processDriveAuditBatch() {
+  Logger.log('=== BATCH PROCESSING STARTED ===');
+  Logger.log('Start time: ' + new Date().toISOString());
+  
+  const startTime = new Date().getTime();
+  const settings = getAuditSettings();
+  // Stop early enough to save progress within the 6 minute limit
+  const MAX_EXECUTION_TIME = settings.maxExecutionMinutes * 60 * 1000;
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const scriptProps = PropertiesService.getScriptProperties();
+  
+  try {
+    // Get or initialize audit state
+    let auditState = loadAuditState();
+    let isFirstRun = !auditState;
+
+    if (auditState && auditState.failed) {
+      Logger.log('The audit failed earlier and waits to be resumed from the menu; not continuing');
+      return;
+    }
+    
+    if (!auditState) {
+      Logger.log('First run - initializing audit');
+      const incrementalBase = JSON.parse(scriptProps.getProperty('AUDIT_INCREMENTAL') || 'null');
+      auditState = {
+        phase: 'SETUP',
+        mode: incrementalBase ? 'incremental' : 'full',
+        scope: scriptProps.getProperty('AUDIT_SCOPE') || 'all',
+        scopeLabel: scriptProps.getProperty('AUDIT_SCOPE_LABEL') || describeAuditScope('all'),
+        query: scriptProps.getProperty('AUDIT_QUERY') || '',
+        totalFilesFound: 0,
+        filesProcessed: 0,
+        auditDataCount: 0,
+        pageToken: null,
+        startTime: new Date().toISOString(),
+        runs: 1,
+        // Where file permissions came from, and time spent fetching them,
+        // for the throughput lines in the run log
+        permissionStats: { inline: 0, batched: 0, single: 0 },
+        processingMs: 0
+      };
+
+      if (auditState.scope === 'folder') {
+        // Walk the folder tree breadth-first, one folder's listing at a time
+        const folder = getAuditFolder(scriptProps.getProperty('AUDIT_SCOPE_TARGET'));
+        if (!folder) {
+          throw new Error('The folder to audit no longer exists or is not accessible');
+        }
+        auditState.rootFolderId = folder.id;
+        auditState.currentFolderId = folder.id;
+        auditState.driveId = folder.driveId || null;
+        auditState.folderQueue = [];
+      } else if (auditState.scope === 'sharedDrives') {
+        // Audit the selected shared drives one after another
+        auditState.driveIds = (scriptProps.getProperty('AUDIT_SCOPE_TARGET') || '').split(',').filter(String);
+        if (auditState.driveIds.length === 0) {
+          throw new Error('No shared drives were selected');
+        }
+        auditState.driveIndex = 0;
+        auditState.driveId = auditState.driveIds[0];
+      }
+
+      if (incrementalBase) {
+        // Read the Changes API from where the last audit left off
+        auditState.changesToken = incrementalBase.token;
+        auditState.fullAuditTime = incrementalBase.fullAuditTime;
+        auditState.changedFiles = 0;
+      } else {
+        startFileCount(auditState);
+      }
+      Logger.log('Audit scope: ' + auditState.scopeLabel);
+    } else {
+      auditState.runs = (auditState.runs || 1) + 1;
+      Logger.log('Continuing audit from phase: ' + auditState.phase + ' (run ' + auditState.runs + ')');
+      Logger.log('Files processed so far: ' + auditState.filesProcessed);
+    }
+    
+    let auditSheet = ss.getSheetByName(settings.sheetNames.audit);
+    
+    // SETUP PHASE
+    if (auditState.phase === 'SETUP' && auditState.mode === 'incremental') {
+      // Rows of changed files are replaced in place, so keep the sheet
+      if (!auditSheet || auditSheet.getLastRow() < 1 ||
+          auditSheet.getRange(1, 1, 1, AUDIT_HEADERS.length).getValues()[0].join('|') !== AUDIT_HEADERS.join('|')) {
+        throw new Error('The "' + settings.sheetNames.audit + '" sheet doesn\'t hold the results of a full audit. Run a full audit first');
+      }
+      auditState.phase = 'PROCESSING';
+      saveAuditCheckpoint(auditState);
+    }
+
+    if (auditState.phase === 'SETUP') {
+      Logger.log('Setting up audit sheet...');
+
+      // The sheet is about to be rebuilt, so earlier change tokens no longer
+      // match it. Changes from now on are picked up by the next incremental run.
+      scriptProps.deleteProperty('INCREMENTAL_BASE');
+      auditState.changesToken = getChangesStartToken();
+
+      if (auditSheet) {
+        Logger.log('Clearing existing "' + settings.sheetNames.audit + '" sheet');
+        auditSheet.getDataRange().clearDataValidations(); // remediation checkboxes
+        auditSheet.clear();
+      } else {
+        Logger.log('Creating new "' + settings.sheetNames.audit + '" sheet');
+        auditSheet = ss.insertSheet(settings.sheetNames.audit);
+      }
+      
+      // Set up headers
+      Logger.log('Setting up headers...');
+      auditSheet.getRange(1, 1, 1, AUDIT_HEADERS.length)
+        .setValues([AUDIT_HEADERS])
+        .setFontWeight('bold')
+        .setBackground('#4285f4')
+        .setFontColor('#ffffff');
+      
+      auditSheet.setFrozenRows(1);
+      resetAuditErrors(ss);
+      Logger.log('Headers created successfully');
+
+      // Resolve folder paths from one folder listing instead of per file
+      Logger.log('Pre-loading folders...');
+      preloadFolderCache(auditState.scope);
+
+      Logger.log('Counting files...');
+      countAuditFiles(auditState, FILE_COUNT_TIME_BUDGET_MS);
+      
+      auditState.phase = 'PROCESSING';
+      saveAuditCheckpoint(auditState);
+    }
+    
+    // PROCESSING PHASE
+    if (auditState.phase === 'PROCESSING') {
+      Logger.log('Processing files...');
+      if (auditState.fileCount && !isFirstRun) {
+        countAuditFiles(auditState, FILE_COUNT_TIME_BUDGET_MS);
+        saveAuditCheckpoint(auditState);
+      }
+      updateAuditStatus('RUNNING', 
+        'Processing files and permissions...', 
+        auditState.filesProcessed, 0, auditState);
+      let lastStatusUpdate = new Date().getTime();
+      
+      // Process files in batches, with automatic continuation. With
+      // permissions fetched inline or in batches, the run time limit is
+      // what usually ends a run; this is only an upper bound.
+      const BATCH_SIZE = settings.batchSize;
+      let filesInThisBatch = 0;
+      let continueProcessing = true;
+
+      // Cache of folder id -> folder resource, to avoid re-fetching the same
+      // ancestor folders when resolving full folder paths. Kept between
+      // runs of this audit; see FOLDER CACHE.
+      const folderCache = loadFolderCache();
+
+      // Cache of folder id -> folder permissions (or null), for comparing
+      // files with their parent folder.
+      const folderPermissionCache = {};
+
+      // Resolved once per run; used to fill the "Sharing Scope" column.
+      const internalDomains = getInternalDomains();
+      Logger.log('Internal domains: ' + (internalDomains.join(', ') || '(none)'));
+
+      // Files directly in My Drive aren't organized by folder, so they're
+      // never compared with their parent.
+      const rootFolderId = getRootFolderId();
+
+      const rowContext = {
+        folderCache: folderCache,
+        folderPermissionCache: folderPermissionCache,
+        internalDomains: internalDomains,
+        rootFolderId: rootFolderId,
+        errors: []
+      };
+
+      const processingStart = new Date().getTime();
+      const filesAtStart = auditState.filesProcessed;
+
+      if (auditState.mode === 'incremental') {
+        const finished = processAuditChanges(auditState, auditSheet, rowContext, startTime + MAX_EXECUTION_TIME);
+        recordThroughput(auditState, auditState.filesProcessed - filesAtStart, processingStart);
+        saveAuditCheckpoint(auditState);
+        if (!finished) {
+          saveFolderCache(folderCache);
+          scheduleAuditContinuation();
+          return;
+        }
+        auditState.phase = 'FINALIZING';
+        continueProcessing = false;
+      }
+      
+      while (continueProcessing && filesInThisBatch < BATCH_SIZE) {
+        // Check execution time
+        const elapsedTime = new Date().getTime() - startTime;
+        if (elapsedTime > MAX_EXECUTION_TIME) {
+          Logger.log('Approaching timeout limit. Saving state and scheduling continuation...');
+          recordThroughput(auditState, auditState.filesProcessed - filesAtStart, processingStart);
+          saveAuditCheckpoint(auditState);
+          saveFolderCache(folderCache);
+          scheduleAuditContinuation();
+          return;
+        }
+        
+        // Get next batch of files
+        const filesBatch = getDriveFilesBatch(auditState.pageToken, 100, auditState.scope, {
+          folderId: auditState.currentFolderId,
+          driveId: auditState.driveId,
+          query: auditState.query
+        });
+        
+        const files = filesBatch.files || [];
+        Logger.log('Processing batch of ' + files.length + ' files');
+        
+        // Process files. Permissions come inline with the listing where
+        // possible; the rest are fetched in batch requests.
+        const permissionFailures = {};
+        const permissionsById = fetchFilePermissions(files, auditState.permissionStats, permissionFailures);
+        const auditData = [];
+        files.forEach(function(file) {
+          auditState.filesProcessed++;
+          filesInThisBatch++;
+
+          if (auditState.scope === 'folder' && file.mimeType === FOLDER_MIME_TYPE) {
+            auditState.folderQueue.push(file.id);
+          }
+
+          Array.prototype.push.apply(auditData,
+            buildFileAuditRows(file, rowContext, permissionsById[file.id], permissionFailures[file.id]));
+        });
+        
+        // Write data to sheet
+        if (auditData.length > 0) {
+          const lastRow = auditSheet.getLastRow();
+          auditSheet.getRange(lastRow + 1, 1, auditData.length, AUDIT_HEADERS.length).setValues(auditData);
+          auditState.auditDataCount += auditData.length;
+          Logger.log('Wrote ' + auditData.length + ' rows. Total rows: ' + auditState.auditDataCount);
+        }
+        writeAuditErrors(ss, rowContext, []);
+        
+        // Update page token
+        auditState.pageToken = filesBatch.nextPageToken;
+        
+        // Update status every STATUS_UPDATE_INTERVAL_MS
+        if (new Date().getTime() - lastStatusUpdate >= STATUS_UPDATE_INTERVAL_MS) {
+          updateAuditStatus('RUNNING', 'Processing files... ' + auditState.filesProcessed + ' files processed',
+            auditState.filesProcessed, 0, auditState);
+          lastStatusUpdate = new Date().getTime();
+        }
+        
+        // Check if there are more pages (or, for a folder audit, more folders)
+        if (!auditState.pageToken && !advanceAuditSource(auditState)) {
+          Logger.log('All files processed');
+          auditState.phase = 'FINALIZING';
+          continueProcessing = false;
+        }
+        
+        // Save state periodically
+        saveAuditCheckpoint(auditState);
+      }
+      
+      if (auditState.mode !== 'incremental') {
+        recordThroughput(auditState, auditState.filesProcessed - filesAtStart, processingStart);
+      }
+
+      // If still processing, schedule continuation
+      if (auditState.phase === 'PROCESSING') {
+        Logger.log('Batch complete. Files processed in this run: ' + filesInThisBatch);
+        Logger.log('Total files processed: ' + auditState.filesProcessed);
+        saveAuditCheckpoint(auditState);
+        saveFolderCache(folderCache);
+        scheduleAuditContinuation();
+        return;
+      }
+    }
+    
+    // FINALIZING PHASE
+    if (auditState.phase === 'FINALIZING') {
+      Logger.log('Finalizing audit...');
+      updateAuditStatus('RUNNING', 'Finalizing audit...', auditState.filesProcessed, 0, auditState);
+      
+      // Auto-resize columns, add filter and remediation checkboxes
+      auditSheet = ss.getSheetByName(settings.sheetNames.audit);
+      formatAuditSheet(auditSheet);
+
+      // Mark approved shares, which the findings and drift report skip.
+      // Applied to every row so expired exceptions resurface.
+      const auditRecords = getAuditRecords(auditSheet);
+      Logger.log('Applying exceptions...');
+      const approvedCount = applyAuditExceptions(ss, auditSheet, auditRecords);
+
+      // Score every file/permission pair and write the ranked findings
+      Logger.log('Scoring sharing risk...');
+      const risk = createRiskFindings(ss, auditRecords);
+
+      if (auditState.mode === 'incremental') {
+        // Report totals for the whole sheet, not just the changed files
+        auditState.changedFiles = auditState.filesProcessed;
+        auditState.filesProcessed = countAuditedFiles(auditRecords);
+        auditState.auditDataCount = auditRecords.length;
+      }
+
+      // Report who belongs to each audited shared drive
+      if (auditState.scope === 'sharedDrives') {
+        Logger.log('Writing shared drive members...');
+        createSharedDriveMembersReport(ss, auditState.driveIds);
+      }
+
+      // List file permissions that go beyond their parent folder's
+      Logger.log('Writing permission drift...');
+      const driftCount = createDriftReport(ss, auditRecords);
+
+      // Turn the rows around: everything each grantee can reach
+      Logger.log('Writing access by grantee...');
+      createGranteeReport(ss, auditRecords);
+
+      // Compare with the previous completed audit, then keep this one
+      Logger.log('Detecting changes since the last audit...');
+      const changes = createChangesReport(ss, auditRecords, auditState.scopeLabel);
+
+      // Create summary
+      Logger.log('Creating summary sheet...');
+      let summarySheet = ss.getSheetByName(settings.sheetNames.summary);
+      if (summarySheet) {
+        summarySheet.clear();
+      } else {
+        summarySheet = ss.insertSheet(settings.sheetNames.summary, 0);
+      }
+      
+      // Approved shares stay in the inventory counts of the summary, but not
+      // in its expiry warnings or in the digest and webhook counts
+      const unapprovedRecords = auditRecords.filter(function(record) {
+        return !isApprovedRecord(record);
+      });
+      createSummary(summarySheet, auditState.filesProcessed, auditState.auditDataCount, {
+        scopeLabel: auditState.scopeLabel,
+        riskCounts: risk.counts,
+        changeCounts: changes && changes.counts,
+        sharingScopeCounts: countFilesBySharingScope(auditRecords),
+        expiry: summarizeExternalGrantExpiry(unapprovedRecords),
+        driftCount: driftCount,
+        approvedCount: approvedCount,
+        breakdowns: summarizeAuditBreakdowns(auditRecords)
+      });
+      
+      // Keep a dated copy of the full results. The audit itself succeeded,
+      // so an archive failure is reported but doesn't fail the run.
+      let archiveNote = '';
+      try {
+        Logger.log('Archiving audit results...');
+        archiveAuditRun(auditRecords, auditState);
+      } catch (archiveError) {
+        Logger.log('WARNING: could not archive audit: ' + archiveError.toString());
+        archiveNote = ' ⚠️ The results could not be archived: ' + archiveError.toString();
+      }
+
+      // Write the rows to Drive files for other tools, if configured. Like
+      // the archive, a failed export doesn't fail the audit.
+      const auditTime = new Date().toISOString();
+      scriptProps.setProperty('LAST_AUDIT_TIME', auditTime);
+      const exportSettings = getExportSettings();
+      if (exportSettings.auto) {
+        try {
+          Logger.log('Exporting audit results...');
+          exportAuditRecords(auditRecords, exportSettings.formats, {
+            auditTime: auditTime,
+            scopeLabel: auditState.scopeLabel
+          });
+        } catch (exportError) {
+          Logger.log('WARNING: could not export audit: ' + exportError.toString());
+          archiveNote += ' ⚠️ The results could not be exported: ' + exportError.toString();
+        }
+      }
+
+      const endTime = new Date();
+      const totalDuration = (new Date(endTime) - new Date(auditState.startTime)) / 1000;
+      
+      Logger.log('=== AUDIT COMPLETED SUCCESSFULLY ===');
+      Logger.log('End time: ' + endTime.toISOString());
+      Logger.log('Total duration: ' + totalDuration + ' seconds');
+      Logger.log('Files audited: ' + auditState.filesProcessed);
+      Logger.log('Permission entries: ' + auditState.auditDataCount);
+      const processedFiles = auditState.mode === 'incremental' ? auditState.changedFiles : auditState.filesProcessed;
+      Logger.log('Throughput: ' + formatFilesPerMinute(processedFiles, auditState.processingMs) +
+        ' of processing time (one Permissions.list call per file managed about ' +
+        LEGACY_FILES_PER_MINUTE + ' files/min)');
+      
+      // Let the next incremental audit pick up from here
+      saveIncrementalBase(auditState);
+
+      const errorFiles = countAuditErrorFiles(ss);
+      const errorNote = errorFiles > 0
+        ? ' ⚠️ ' + errorFiles + ' files could not be fully read (see "' + AUDIT_ERRORS_SHEET_NAME + '").'
+        : '';
+
+      // Update status to COMPLETED
+      updateAuditStatus('COMPLETED', 
+        'Audit completed successfully! ' +
+        (auditState.mode === 'incremental' ? 'Changed files: ' + auditState.changedFiles + ', ' : '') +
+        'Files audited: ' + auditState.filesProcessed + ', ' +
+        'Permission entries: ' + auditState.auditDataCount + ', ' +
+        'Duration: ' + Math.round(totalDuration) + ' seconds' + errorNote + archiveNote,
+        auditState.filesProcessed, 0, auditState);
+      
+      // Clear audit state
+      clearAuditState();
+
+      // Delete continuation triggers
+      deleteContinuationTriggers();
+      
+      Logger.log('Audit complete and state cleared');
+
+      const auditResult = {
+        scope: auditState.scope,
+        scopeLabel: auditState.scopeLabel,
+        startTime: auditState.startTime,
+        endTime: endTime.toISOString(),
+        durationSeconds: Math.round(totalDuration),
+        filesAudited: auditState.filesProcessed,
+        permissionEntries: auditState.auditDataCount,
+        sharingScopeCounts: countFilesBySharingScope(unapprovedRecords),
+        riskCounts: risk.counts,
+        changeCounts: changes && changes.unapprovedCounts,
+        findings: risk.findings
+      };
+      sendAuditDigest('COMPLETED', auditResult);
+      notifyWebhooks('audit.completed', auditResult);
+    }
+      
+  } catch (error) {
+    Logger.log('=== ERROR DURING AUDIT ===');
+    Logger.log('Error: ' + error.toString());
+    Logger.log('Stack trace: ' + error.stack);
+    
+    // Keep the last saved checkpoint (page token, folder queue, counters)
+    // so the audit can be resumed instead of starting over
+    const failedState = markAuditStateFailed(error.toString());
+
+    // Update status to ERROR
+    updateAuditStatus('ERROR', 'An error occurred during the audit: ' + error.toString() +
+      (failedState
+        ? '. Progress is saved (' + failedState.filesProcessed + ' files processed). ' +
+          'Use Drive Audit → Resume Failed Audit to continue from there.'
+        : ''),
+      failedState ? failedState.filesProcessed : 0, 0);
+
+    const failedResult = {
+      scope: (failedState && failedState.scope) || scriptProps.getProperty('AUDIT_SCOPE') || 'all',
+      scopeLabel: (failedState && failedState.scopeLabel) || scriptProps.getProperty('AUDIT_SCOPE_LABEL') || '',
+      startTime: (failedState && failedState.startTime) || '',
+      filesAudited: (failedState && failedState.filesProcessed) || 0,
+      resumable: !!failedState,
+      error: error.toString()
+    };
+    sendAuditDigest('ERROR', failedResult);
+    notifyWebhooks('audit.failed', failedResult);
+    
+    // Nothing to resume from if it failed before the first checkpoint
+    if (!failedState) {
+      clearAuditState();
+    }
+    deleteContinuationTriggers();
+  }
+}
+
+/**
+ * Schedules the audit to continue after the continuation delay
+ * (1 minute by default; see SETTINGS)
+ */
+function scheduleAuditContinuation() {
+  Logger.log('Scheduling audit continuation...');
+  
+  try {
+    // Delete any existing continuation triggers
+    deleteContinuationTriggers();
+    
+    const CONTINUATION_DELAY_MINUTES = getAuditSettings().continuationDelayMinutes;
+    
+    ScriptApp.newTrigger('processDriveAuditBatch')
+      .timeBased()
+      .after(CONTINUATION_DELAY_MINUTES * 60 * 1000)
+      .create();
+    
+    Logger.log('Audit continuation scheduled for ' + describeMinutes(CONTINUATION_DELAY_MINUTES) + ' from now');
+    updateAuditStatus('RUNNING', 
+      'Audit in progress. Will continue automatically in ' + describeMinutes(CONTINUATION_DELAY_MINUTES) + '. ' +
+      'Check back later for results.',
+      0, 0, loadAuditState());
+    
+  } catch (error) {
+    Logger.log('Error scheduling continuation: ' + error.toString());
+  }
+}
+
+/**
+ * Deletes all continuation triggers
+ */
+function deleteContinuationTriggers() {
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === 'processDriveAuditBatch') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+/**
+ * "Audit Error" of a file whose permissions couldn't be read; its row
+ * says nothing about who has access.
+ */
+const PERMISSIONS_UNREAD_ERROR = 'Permissions could not be read';
+
+/**
+ * Whether an audit record is the row of a file whose permissions couldn't
+ * be read.
+ */
+function hasUnreadPermissions(record) {
+  return String(record['Audit Error'] || '').indexOf(PERMISSIONS_UNREAD_ERROR) !== -1;
+}
+
+/**
+ * Builds the "Drive Audit" rows of one file: one per permission, or a
+ * single row when its permissions can't be read.
+ *
+ * @param {Object}   file            - Drive file resource
+ * @param {Object}   rowContext      - caches and settings shared by a run:
+ *   folderCache, folderPermissionCache, internalDomains, rootFolderId, and
+ *   errors, which collects per-file failures (see recordAuditError)
+ * @param {Object[]} permissions     - the file's permissions, if already
+ *   fetched (see fetchFilePermissions)
+ * @param {string}   permissionError - why fetching them failed, if it did
+ */
+function buildFileAuditRows(file, rowContext, permissions, permissionError) {
+  if (!permissions && !permissionError) {
+    try {
+      permissions = getFilePermissions(file.id);
+    } catch (error) {
+      permissionError = error.toString();
+    }
+  }
+
+  const problems = [];
+  if (permissionError) {
+    permissions = null;
+    recordAuditError(rowContext, file, 'Read permissions', permissionError);
+    problems.push(PERMISSIONS_UNREAD_ERROR);
+  }
+
+  const folderErrors = [];
+  const folderPath = getFolderPath(file.parents, rowContext.folderCache, folderErrors);
+  if (folderErrors.length > 0) {
+    recordAuditError(rowContext, file, 'Resolve folder path', folderErrors.join('; '));
+    problems.push('Folder path incomplete');
+  }
+
+  const parentId = file.parents && file.parents.length > 0 ? file.parents[0] : null;
+  const context = {
+    folderPath: folderPath,
+    internalDomains: rowContext.internalDomains,
+    folderPermissions: parentId && parentId !== rowContext.rootFolderId
+      ? getFolderPermissions(parentId, rowContext.folderPermissionCache)
+      : null,
+    auditError: problems.join('; ')
+  };
+
+  if (!permissions || permissions.length === 0) {
+    return [buildAuditRow(file, permissions, null, context)];
+  }
+  return permissions.map(function(permission) {
+    return buildAuditRow(file, permissions, permission, context);
+  });
+}
+
+/**
+ * Retries of Drive calls that hit rate limits or server errors. Waits grow
+ * exponentially from the base delay (1s, 2s, 4s, 8s) plus some jitter.
+ */
+const DRIVE_RETRY_MAX_ATTEMPTS = 5;
+const DRIVE_RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * Whether a Drive error is worth retrying: rate limits (429, or 403 rate
+ * limit reasons) and 5xx server errors.
+ */
+function isRetryableDriveError(error) {
+  const code = error && error.details && error.details.code;
+  if (code === 429 || code >= 500) {
+    return true;
+  }
+  return /rate limit|backend error|internal error|service unavailable|try again|timed out|\b(429|50[0234])\b/i
+    .test(String(error && error.message || error));
+}
+
+/**
+ * Calls fn, retrying with exponential backoff while it fails with a
+ * retryable error (see isRetryableDriveError). Other errors, and the last
+ * retryable one, are thrown.
+ *
+ * @param {Function} fn          - the Drive call
+ * @param {string}   description - what the call does, for the log
+ */
+function callDriveWithRetry(fn, description) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return fn();
+    } catch (error) {
+      if (attempt >= DRIVE_RETRY_MAX_ATTEMPTS || !isRetryableDriveError(error)) {
+        throw error;
+      }
+      const delay = DRIVE_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 500);
+      Logger.log('WARNING: ' + description + ' failed (' + error.toString() + '). Retrying in ' +
+        delay + 'ms (attempt ' + attempt + ' of ' + DRIVE_RETRY_MAX_ATTEMPTS + ')');
+      Utilities.sleep(delay);
+    }
+  }
+}
+
+/**
+ * Gets a batch of files from Google Drive
+ *
+ * @param {string} pageToken - Drive API page token (null for first page)
+ * @param {number} pageSize  - files per page
+ * @param {string} scope     - see AUDIT_SCOPES
+ * @param {Object} source    - what to list: for the 'folder' scope
+ *                             { folderId, driveId } of the folder whose
+ *                             children to list, for 'sharedDrives' the
+ *                             { driveId } of the current drive. Its optional
+ *                             query (from buildDriveQuery) narrows any scope,
+ *                             and its optional fields replace
+ *                             AUDIT_FILE_FIELDS (e.g. to only count files).
+ * @throws when Drive still fails after retrying
+ */
+function getDriveFilesBatch(pageToken, pageSize, scope, source) {
+  scope = scope || 'all';
+  Logger.log('Fetching batch of files. Scope: ' + scope + ', PageToken: ' + (pageToken || 'null'));
+
+  try {
+    const params = {
+      pageSize: pageSize || 100,
+      fields: 'nextPageToken, files(' + (source && source.fields || AUDIT_FILE_FIELDS) + ')',
+      pageToken: pageToken
+    };
+
+    if (scope === 'all') {
       // Original behavior: include shared/organizational drives
       params.supportsAllDrives = true;
       params.includeItemsFromAllDrives = true;
+    } else if (scope === 'folder') {
+      // Direct children of one folder; subfolders are queued by the caller
+      params.q = "'" + source.folderId + "' in parents and trashed = false";
+      params.supportsAllDrives = true;
+      params.includeItemsFromAllDrives = true;
+      if (source.driveId) {
+        params.corpora = 'drive';
+        params.driveId = source.driveId;
+      } else {
+        params.corpora = 'allDrives';
+      }
+    } else if (scope === 'sharedDrives') {
+      // Every file in one shared drive
+      params.corpora = 'drive';
+      params.driveId = source.driveId;
+      params.supportsAllDrives = true;
+      params.includeItemsFromAllDrives = true;
+    } else {
+      // 'myDrive' and 'owned': restrict to the user's own corpus, no shared drives
+      params.corpora = 'user';
+      params.supportsAllDrives = false;
+      params.includeItemsFromAllDrives = false;
+      if (scope === 'owned') {
+        params.q = "'me' in owners";
+      }
+    }
+
+    const query = source && source.query;
+    if (query) {
+      // A folder walk still needs the subfolders to reach matching files
+      // further down, so they are listed whether or not they match
+      const filter = scope === 'folder'
+        ? "(mimeType = '" + FOLDER_MIME_TYPE + "' or (" + query + "))"
+        : '(' + query + ')';
+      params.q = params.q ? params.q + ' and ' + filter : filter;
+    }
+
+    const response = callDriveWithRetry(function() {
+      return Drive.Files.list(params);
+    }, 'Listing files');
+
+    Logger.log('Retrieved ' + (response.files ? response.files.length : 0) + ' files');
+    return response;
+
+  } catch (error) {
+    // Not "no more files": the caller fails the audit so it can be resumed
+    Logger.log('ERROR fetching files batch: ' + error.toString());
+    Logger.log('Stack trace: ' + error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Resolves the full folder path for a file from its parent id(s),
+ * e.g. "My Drive/Projects/2026/Reports".
+ *
+ * Walks up the parent chain, caching each folder lookup in folderCache
+ * (keyed by folder id) so repeated ancestors aren't re-fetched. Returns
+ * an empty string for files with no parent (e.g. items shared with you
+ * that don't live in a folder you can traverse).
+ *
+ * @param {string[]} parents     - file.parents from the Drive API
+ * @param {Object}   folderCache - id -> folder resource (or null) cache
+ * @param {string[]} errors      - optional; receives a message for each
+ *                                 folder that couldn't be read, i.e. when
+ *                                 the path is incomplete
+ */
+function getFolderPath(parents, folderCache, errors) {
+  if (!parents || parents.length === 0) {
+    return '';
+  }
+
+  const pathParts = [];
+  let currentId = parents[0]; // a file is normally in a single folder
+  let depth = 0;
+  const MAX_DEPTH = 100; // safety guard against unexpected cycles
+
+  while (currentId && depth < MAX_DEPTH) {
+    depth++;
+
+    let folder = folderCache[currentId];
+    if (folder === undefined) {
+      try {
+        folder = callDriveWithRetry(function() {
+          return Drive.Files.get(currentId, {
+            fields: 'id, name, parents',
+            supportsAllDrives: true
+          });
+        }, 'Reading folder ' + currentId);
+      } catch (error) {
+        Logger.log('WARNING: could not resolve folder ' + currentId + ': ' + error.toString());
+        folder = null;
+        if (errors) {
+          errors.push('Folder ' + currentId + ': ' + error.toString());
+        }
+      }
+      folderCache[currentId] = folder;
+    } else if (folder === null && errors) {
+      errors.push('Folder ' + currentId + ' could not be read');
+    }
+
+    if (!folder) {
+      break;
+    }
+
+    pathParts.unshift(folder.name);
+    currentId = (folder.parents && folder.parents.length > 0) ? folder.parents[0] : null;
+  }
+
+  return pathParts.join('/');
+}
+
+/**
+ * The id of the user's My Drive root folder, or '' if it can't be read.
+ */
+function getRootFolderId() {
+  try {
+    return Drive.Files.get('root', { fields: 'id' }).id;
+  } catch (error) {
+    Logger.log('WARNING: could not resolve the My Drive root folder: ' + error.toString());
+    return '';
+  }
+}
+
+/**
+ * Gets a folder's permissions, caching them in folderPermissionCache (keyed
+ * by folder id). Returns null when they can't be read, so callers can tell
+ * "unknown" apart from "private".
+ *
+ * @param {string} folderId
+ * @param {Object} folderPermissionCache - id -> permissions (or null) cache
+ */
+function getFolderPermissions(folderId, folderPermissionCache) {
+  if (folderPermissionCache[folderId] === undefined) {
+    try {
+      const permissions = [];
+      let pageToken = null;
+      do {
+        const response = callDriveWithRetry(function() {
+          return Drive.Permissions.list(folderId, {
+            fields: 'nextPageToken, permissions(id, type, role, emailAddress, domain)',
+            pageSize: 100,
+            pageToken: pageToken,
+            supportsAllDrives: true
+          });
+        }, 'Reading permissions of folder ' + folderId);
+        Array.prototype.push.apply(permissions, response.permissions || []);
+        pageToken = response.nextPageToken;
+      } while (pageToken);
+      folderPermissionCache[folderId] = permissions;
+    } catch (error) {
+      Logger.log('WARNING: could not read permissions of folder ' + folderId + ': ' + error.toString());
+      folderPermissionCache[folderId] = null;
+    }
+  }
+  return folderPermissionCache[folderId];
+}
+
+/**
+ * Identifies who a permission grants access to, so file and folder
+ * permissions can be matched: "anyone", "domain:example.com",
+ * "user:jane@example.com", "group:team@example.com".
+ */
+function getGranteeKey(permission) {
+  if (permission.type === 'anyone') {
+    return 'anyone';
+  }
+  return permission.type + ':' + String(permission.emailAddress || permission.domain || '').toLowerCase();
+}
+
+/**
+ * Compares a file permission with the parent folder's permissions and
+ * describes the drift, or returns '' when the folder grants the same
+ * access (or more). Owner permissions never drift.
+ *
+ * @param {Object}   permission        - the file permission
+ * @param {Object[]} folderPermissions - see getFolderPermissions; null skips
+ *                                       the comparison
+ */
+function getPermissionDrift(permission, folderPermissions) {
+  if (!folderPermissions || permission.role === 'owner') {
+    return '';
+  }
+
+  const key = getGranteeKey(permission);
+  const onFolder = folderPermissions.filter(function(folderPermission) {
+    return getGranteeKey(folderPermission) === key;
+  });
+
+  if (onFolder.length === 0) {
+    if (permission.type === 'anyone') {
+      const folderIsPrivate = folderPermissions.every(function(folderPermission) {
+        return folderPermission.role === 'owner';
+      });
+      if (folderIsPrivate) {
+        return 'Public link on a file in a private folder';
+      }
+      return 'Public link not on parent folder';
+    }
+    return 'Grantee not on parent folder';
+  }
+
+  const folderRole = onFolder.reduce(function(best, folderPermission) {
+    return ROLE_RANK.indexOf(folderPermission.role) > ROLE_RANK.indexOf(best) ? folderPermission.role : best;
+  }, onFolder[0].role);
+  if (ROLE_RANK.indexOf(permission.role) > ROLE_RANK.indexOf(folderRole)) {
+    return 'Role ' + permission.role + ' is higher than on parent folder (' + folderRole + ')';
+  }
+  return '';
+}
+
+/**
+ * Gets all files from Google Drive (legacy - kept for compatibility)
+ * Note: For large Drive accounts, use processDriveAuditBatch instead
+ */
+function getAllDriveFiles() {
+  Logger.log('Fetching files from Drive API...');
+  const files = [];
+  let pageToken = null;
+  let pageNumber = 0;
+  
+  do {
+    try {
+      pageNumber++;
+      Logger.log('Fetching page ' + pageNumber + ' (100 files per page)...');
+      
+      const response = Drive.Files.list({
+        pageSize: 100,
+        fields: 'nextPageToken, files(id, name, mimeType, owners, createdTime, modifiedTime, size, webViewLink, permissions, parents)',
+        pageToken: pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true
+      });
+
+      if (response.files && response.files.length > 0) {
+        files.push(...response.files);
+        Logger.log('Page ' + pageNumber + ' retrieved: ' + response.files.length + ' files (Total so far: ' + files.length + ')');
+      } else {
+        Logger.log('Page ' + pageNumber + ' contained no files');
+      }
+      
+      pageToken = response.nextPageToken;
+      
+      if (pageToken) {
+        Logger.log('More pages available, continuing...');
+      } else {
+        Logger.log('No more pages to fetch');
+      }
+      
+    } catch (error) {
+      Logger.log('ERROR fetching files on page ' + pageNumber + ': ' + error.toString());
+      Logger.log('Stack trace: ' + error.stack);
+      break;
+    }
+  } while (pageToken);
+  
+  Logger.log('File fetching complete. Total files: ' + files.length);
+  return files;
+}
+
+/**
+ * Permission fields requested from the Drive API. Besides the grantee,
+ * this covers temporary access (expirationTime), search discoverability of
+ * domain/anyone shares (allowFileDiscovery), pending ownership transfers
+ * (pendingOwner), deleted accounts (deleted) and where each role comes
+ * from on shared drives (permissionDetails).
+ */
+const PERMISSION_FIELDS = 'id, type, role, emailAddress, domain, displayName, expirationTime, ' +
+  'allowFileDiscovery, pendingOwner, deleted, permissionDetails';
+
+/**
+ * File fields of a "Drive Audit" row, as requested from files.list and
+ * files.get.
+ */
+const AUDIT_FILE_FIELDS = 'id, name, mimeType, owners, createdTime, modifiedTime, size, webViewLink, ' +
+  'permissions(' + PERMISSION_FIELDS + '), parents';
+
+/**
+ * Gets permissions for a specific file, following every page. Throws when
+ * they can't be read, so that a failure isn't mistaken for a file without
+ * permissions.
+ */
+function getFilePermissions(fileId) {
+  const permissions = [];
+  let pageToken = null;
+  do {
+    const response = callDriveWithRetry(function() {
+      return Drive.Permissions.list(fileId, {
+        fields: 'nextPageToken, permissions(' + PERMISSION_FIELDS + ')',
+        pageSize: 100,
+        pageToken: pageToken,
+        supportsAllDrives: true
+      });
+    }, 'Reading permissions of file ' + fileId);
+
+    Array.prototype.push.apply(permissions, response.permissions || []);
+    pageToken = response.nextPageToken;
+  } while (pageToken);
+
+  return permissions;
+}
+
+/**
+ * Drive's batch endpoint, and the most requests it accepts per batch.
+ */
+const DRIVE_BATCH_URL = 'https://www.googleapis.com/batch/drive/v3';
+const DRIVE_BATCH_LIMIT = 100;
+
+/**
+ * Files per minute of the original fetching, which called Permissions.list
+ * once per file (~500 files per 4.5 minute run). Logged for comparison.
+ */
+const LEGACY_FILES_PER_MINUTE = 110;
+
+/**
+ * Gets the permissions of a page of files. files.list already returns them
+ * for files the user can share; the rest (e.g. shared drive items) are
+ * fetched with batched Permissions.list requests, and any that fail there
+ * one by one with getFilePermissions.
+ *
+ * @param {Object[]} files    - Drive file resources from a listing
+ * @param {Object}   stats    - { inline, batched, single } counters to update
+ * @param {Object}   failures - receives file id -> error message for files
+ *                              whose permissions couldn't be read
+ * @return {Object} file id -> permissions (null for failures)
+ */
+function fetchFilePermissions(files, stats, failures) {
+  const permissionsById = {};
+  const missing = [];
+
+  files.forEach(function(file) {
+    if (file.permissions) {
+      permissionsById[file.id] = file.permissions;
+      stats.inline++;
+    } else {
+      missing.push(file.id);
+    }
+  });
+
+  for (let i = 0; i < missing.length; i += DRIVE_BATCH_LIMIT) {
+    const chunk = missing.slice(i, i + DRIVE_BATCH_LIMIT);
+    const batched = batchListPermissions(chunk);
+    chunk.forEach(function(fileId) {
+      if (batched[fileId]) {
+        permissionsById[fileId] = batched[fileId];
+        stats.batched++;
+      } else {
+        stats.single++;
+        try {
+          permissionsById[fileId] = getFilePermissions(fileId);
+        } catch (error) {
+          permissionsById[fileId] = null;
+          failures[fileId] = error.toString();
+        }
+      }
+    });
+  }
+
+  return permissionsById;
+}
+
+/**
+ * Lists the permissions of up to DRIVE_BATCH_LIMIT files in one multipart
+ * batch HTTP request. Files whose part failed, or whose permissions run
+ * past the first page, are left out of the result.
+ *
+ * @param {string[]} fileIds
+ * @return {Object} file id -> permissions
+ */
+function batchListPermissions(fileIds) {
+  const result = {};
+  const boundary = 'drive_audit_' + Utilities.getUuid();
+  const query = '?supportsAllDrives=true&pageSize=100&fields=' +
+    encodeURIComponent('nextPageToken, permissions(' + PERMISSION_FIELDS + ')');
+
+  const body = fileIds.map(function(fileId, i) {
+    return '--' + boundary + '\r\n' +
+      'Content-Type: application/http\r\n' +
+      'Content-ID: <' + i + '>\r\n\r\n' +
+      'GET /drive/v3/files/' + encodeURIComponent(fileId) + '/permissions' + query + '\r\n\r\n';
+  }).join('') + '--' + boundary + '--';
+
+  let response;
+  try {
+    response = callDriveWithRetry(function() {
+      const res = UrlFetchApp.fetch(DRIVE_BATCH_URL, {
+        method: 'post',
+        contentType: 'multipart/mixed; boundary=' + boundary,
+        payload: body,
+        headers: { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() },
+        muteHttpExceptions: true
+      });
+      const code = res.getResponseCode();
+      if (code === 429 || code >= 500) {
+        throw new Error('Permissions batch request returned HTTP ' + code);
+      }
+      return res;
+    }, 'Permissions batch request');
+  } catch (error) {
+    Logger.log('WARNING: permissions batch request failed: ' + error.toString());
+    return result;
+  }
+
+  if (response.getResponseCode() !== 200) {
+    Logger.log('WARNING: permissions batch request returned HTTP ' + response.getResponseCode());
+    return result;
+  }
+
+  // Each part echoes its Content-ID as <response-N> and holds an HTTP
+  // response: a status line, headers and a JSON body
+  const headers = response.getHeaders();
+  const contentType = headers['Content-Type'] || headers['content-type'] || '';
+  const match = contentType.match(/boundary=("?)([^";]+)\1/);
+  if (!match) {
+    Logger.log('WARNING: permissions batch response has no boundary');
+    return result;
+  }
+
+  response.getContentText().split('--' + match[2]).forEach(function(part) {
+    const id = part.match(/Content-ID:\s*<response-(\d+)>/i);
+    const status = part.match(/HTTP\/[\d.]+ (\d{3})/);
+    if (!id || !status) {
+      return;
+    }
+
+    const fileId = fileIds[parseInt(id[1], 10)];
+    if (status[1] !== '200') {
+      Logger.log('WARNING: batched permissions for file ' + fileId + ' returned HTTP ' + status[1]);
+      return;
+    }
+    try {
+      const json = part.substring(part.indexOf('{'), part.lastIndexOf('}') + 1);
+      const page = JSON.parse(json);
+      if (page.nextPageToken) {
+        // Left to getFilePermissions, which follows the remaining pages
+        return;
+      }
+      result[fileId] = page.permissions || [];
+    } catch (error) {
+      Logger.log('WARNING: could not parse batched permissions for file ' + fileId + ': ' + error.toString());
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Adds one run's processing time to the audit and logs its throughput.
+ *
+ * @param {Object} auditState
+ * @param {number} files - files processed in this run
+ * @param {number} since - when this run started processing (ms)
+ */
+function recordThroughput(auditState, files, since) {
+  const elapsedMs = new Date().getTime() - since;
+  auditState.processingMs += elapsedMs;
+
+  const stats = auditState.permissionStats;
+  Logger.log('Throughput this run: ' + files + ' files in ' + Math.round(elapsedMs / 1000) + 's (' +
+    formatFilesPerMinute(files, elapsedMs) + '). Permissions so far: ' + stats.inline + ' inline, ' +
+    stats.batched + ' batched, ' + stats.single + ' single calls');
+}
+
+/**
+ * Formats a throughput, e.g. "850 files/min".
+ */
+function formatFilesPerMinute(files, elapsedMs) {
+  return (elapsedMs > 0 ? Math.round(files / (elapsedMs / 60000)) : files) + ' files/min';
+}
+
+/**
+ * Determines the file type based on MIME type
+ */
+function getFileType(file) {
+  const mimeType = file.mimeType;
+  
+  if (mimeType === 'application/vnd.google-apps.folder') {
+    return 'Folder';
+  } else if (mimeType.startsWith('application/vnd.google-apps.')) {
+    return 'Google ' + mimeType.replace('application/vnd.google-apps.', '').replace('-', ' ');
+  } else if (mimeType.startsWith('image/')) {
+    return 'Image';
+  } else if (mimeType.startsWith('video/')) {
+    return 'Video';
+  } else if (mimeType.startsWith('audio/')) {
+    return 'Audio';
+  } else if (mimeType.includes('pdf')) {
+    return 'PDF';
+  } else if (mimeType.includes('document') || mimeType.includes('text')) {
+    return 'Document';
+  } else if (mimeType.includes('spreadsheet')) {
+    return 'Spreadsheet';
+  } else if (mimeType.includes('presentation')) {
+    return 'Presentation';
+  } else {
+    return 'File';
+  }
+}
+
+/**
+ * Reads the "Drive Audit" sheet back as one object per row, keyed by the
+ * header text (e.g. record['Permission Type']). Used by the finalizing
+ * steps so they don't depend on column positions.
+ */
+function getAuditRecords(auditSheet) {
+  if (!auditSheet || auditSheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const values = auditSheet.getRange(1, 1, auditSheet.getLastRow(), auditSheet.getLastColumn()).getValues();
+  const headers = values.shift();
+
+  return values.map(function(row) {
+    const record = {};
+    headers.forEach(function(header, i) {
+      record[header] = row[i];
+    });
+    return record;
+  });
+}
+
+/**
+ * Creates a summary sheet with audit statistics
+ *
+ * @param {Object} stats - optional breakdowns:
+ *   scopeLabel         - what was audited (describeAuditScope)
+ *   riskCounts         - severity -> number of findings (createRiskFindings)
+ *   sharingScopeCounts - sharing scope -> number of files (countFilesBySharingScope)
+ *   changeCounts       - change type -> count, or null on the first audit
+ *                        (createChangesReport)
+ *   expiry             - external grant expiry breakdown (summarizeExternalGrantExpiry)
+ *   driftCount         - number of drifted permissions (createDriftReport)
+ *   approvedCount      - rows approved by exceptions (applyAuditExceptions)
+ *   breakdowns         - dashboard tables and charts (summarizeAuditBreakdowns)
+ */
+function createSummary(sheet, totalFiles, totalPermissions, stats) {
+  stats = stats || {};
+  Logger.log('Generating summary data...');
+  
+  const summaryData = [
+    ['Drive Audit Summary', ''],
+    ['', '']
+  ];
+  const boldRows = [];
+  const sectionRows = [];
+
+  function addTotal(label, value) {
+    boldRows.push(summaryData.length + 1);
+    summaryData.push([label, value]);
+  }
+
+  addTotal('Audit Date:', new Date());
+  if (stats.scopeLabel) {
+    addTotal('Scope:', stats.scopeLabel);
+  }
+  addTotal('Total Files Audited:', totalFiles);
+  addTotal('Total Permission Entries:', totalPermissions);
+  if (stats.driftCount !== undefined) {
+    addTotal('Permission Drift Entries:', stats.driftCount);
+  }
+  if (stats.approvedCount !== undefined) {
+    addTotal('Approved by Exceptions:', stats.approvedCount);
+  }
+  summaryData.push(['', '']);
+
+  if (stats.sharingScopeCounts) {
+    sectionRows.push(summaryData.length + 1);
+    summaryData.push(['Files by Sharing Scope:', '']);
+    Object.keys(SHARING_SCOPES).forEach(function(key) {
+      const scope = SHARING_SCOPES[key];
+      boldRows.push(summaryData.length + 1);
+      summaryData.push([scope + ':', stats.sharingScopeCounts[scope] || 0]);
+    });
+    summaryData.push(['', '']);
+  }
+
+  if (stats.riskCounts) {
+    sectionRows.push(summaryData.length + 1);
+    summaryData.push(['Risk Findings:', '']);
+    RISK_SEVERITIES.forEach(function(severity) {
+      boldRows.push(summaryData.length + 1);
+      summaryData.push([severity + ':', stats.riskCounts[severity] || 0]);
+    });
+    summaryData.push(['', '']);
+  }
+
+  if (stats.expiry) {
+    sectionRows.push(summaryData.length + 1);
+    summaryData.push(['External Grant Expiry:', '']);
+    boldRows.push(summaryData.length + 1);
+    summaryData.push(['Expiring within ' + EXPIRY_WARNING_DAYS + ' days:', stats.expiry.expiringSoon.length]);
+    boldRows.push(summaryData.length + 1);
+    summaryData.push(['Never expiring:', stats.expiry.neverExpiring]);
+    boldRows.push(summaryData.length + 1);
+    summaryData.push(['Already expired (not yet removed):', stats.expiry.expired]);
+    stats.expiry.expiringSoon.slice(0, EXPIRY_SUMMARY_LIMIT).forEach(function(grant) {
+      summaryData.push(['   ' + grant.fileName + ' → ' + grant.grantee, grant.expirationTime]);
+    });
+    if (stats.expiry.expiringSoon.length > EXPIRY_SUMMARY_LIMIT) {
+      summaryData.push(['   … and ' + (stats.expiry.expiringSoon.length - EXPIRY_SUMMARY_LIMIT) +
+        ' more (filter "Expiration Time" in "' + getOutputSheetName('audit') + '")', '']);
+    }
+    summaryData.push(['', '']);
+  }
+
+  if (stats.changeCounts) {
+    sectionRows.push(summaryData.length + 1);
+    summaryData.push(['Changes Since Last Audit:', '']);
+    CHANGE_TYPES.forEach(function(changeType) {
+      boldRows.push(summaryData.length + 1);
+      summaryData.push([changeType + ':', stats.changeCounts[changeType] || 0]);
+    });
+    summaryData.push(['', '']);
+  }
+
+  sectionRows.push(summaryData.length + 1);
+  summaryData.push(
+    ['Next Steps:', ''],
+    ['1. Review the "Risk Findings" sheet, starting with Critical and High', ''],
+    ['2. Check the "Changes" sheet for what was shared since the last audit', ''],
+    ['3. See who can reach what in the "' + GRANTEE_SHEET_NAME + '" sheet', ''],
+    ['4. Review the "' + getOutputSheetName('audit') + '" sheet for detailed permissions', ''],
+    ['5. Set up a schedule to run audits automatically', '']
+  );
+  
+  sheet.getRange(1, 1, summaryData.length, 2).setValues(summaryData);
+  Logger.log('Summary data written to sheet');
+  
+  // Format summary
+  Logger.log('Formatting summary sheet...');
+  sheet.getRange(1, 1, 1, 2).merge()
+    .setFontSize(16)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff')
+    .setHorizontalAlignment('center');
+  
+  boldRows.forEach(function(row) {
+    sheet.getRange(row, 1).setFontWeight('bold');
+  });
+  sectionRows.forEach(function(row) {
+    sheet.getRange(row, 1).setFontWeight('bold').setFontSize(12);
+  });
+  
+  sheet.setColumnWidth(1, 300);
+  sheet.setColumnWidth(2, 200);
+
+  if (stats.breakdowns) {
+    Logger.log('Building dashboard...');
+    createDashboard(sheet, stats.breakdowns);
+  }
+  Logger.log('Summary formatting complete');
+}
+
+// ============ DASHBOARD ============
+
+/**
+ * The breakdowns at the right of "Audit Summary", each a small table with
+ * an embedded chart next to it. Long breakdowns (owners, domains) show the
+ * largest entries and sum up the rest as "Other".
+ */
+const DASHBOARD_TOP_LIMIT = 10;
+const DASHBOARD_COLUMN = 4;       // D: tables
+const DASHBOARD_CHART_COLUMN = 7; // G: charts
+const DASHBOARD_BLOCK_ROWS = 18;  // room for one chart
+const DASHBOARD_CHART_WIDTH = 520;
+const DASHBOARD_CHART_HEIGHT = 320;
+
+/**
+ * Counts the distinct files of each key.
+ *
+ * @param {Object[]} records - rows from getAuditRecords
+ * @param {Function} keyOf   - record -> key, or '' to skip the record
+ * @return {Object} key -> number of files
+ */
+function countFilesByKey(records, keyOf) {
+  const filesByKey = {};
+  records.forEach(function(record) {
+    const key = keyOf(record);
+    if (!key) {
+      return;
+    }
+    filesByKey[key] = filesByKey[key] || {};
+    filesByKey[key][record['File ID']] = true;
+  });
+
+  const counts = {};
+  Object.keys(filesByKey).forEach(function(key) {
+    counts[key] = Object.keys(filesByKey[key]).length;
+  });
+  return counts;
+}
+
+/**
+ * Counts permission rows per value of a column; rows without a permission
+ * are skipped.
+ */
+function countPermissionsByColumn(records, column) {
+  const counts = {};
+  records.forEach(function(record) {
+    if (record['Permission Type']) {
+      const key = record[column] || '(none)';
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Turns key -> count into [[key, count]] rows, largest first. With a limit,
+ * the rest are summed up in an "Other" row.
+ */
+function toRankedRows(counts, limit) {
+  const rows = Object.keys(counts).map(function(key) {
+    return [key, counts[key]];
+  }).sort(function(a, b) {
+    return b[1] - a[1] || String(a[0]).localeCompare(String(b[0]));
+  });
+
+  if (limit && rows.length > limit) {
+    const rest = rows.splice(limit);
+    rows.push(['Other (' + rest.length + ' more)', rest.reduce(function(sum, row) {
+      return sum + row[1];
+    }, 0)]);
+  }
+  return rows;
+}
+
+/**
+ * The domain a row's grant reaches: the domain of a domain grant, or of
+ * the email address of a user or group.
+ */
+function getGrantDomain(record) {
+  if (record['Permission Domain']) {
+    return String(record['Permission Domain']).toLowerCase();
+  }
+  const email = String(record['Permission Email'] || '');
+  return email.indexOf('@') !== -1 ? email.split('@').pop().toLowerCase() : '';
+}
+
+/**
+ * Computes the dashboard breakdowns from the audit rows.
+ *
+ * @param {Object[]} records - rows from getAuditRecords
+ * @return {Object[]} { title, header, rows, chart } per breakdown, where
+ *   chart is 'pie', 'bar' or 'column'
+ */
+function summarizeAuditBreakdowns(records) {
+  return [
+    {
+      title: 'Files by Owner',
+      header: ['Owner', 'Files'],
+      rows: toRankedRows(countFilesByKey(records, function(record) {
+        return record['Owner'] || '(unknown)';
+      }), DASHBOARD_TOP_LIMIT),
+      chart: 'bar'
+    },
+    {
+      title: 'Files by Type',
+      header: ['Type', 'Files'],
+      rows: toRankedRows(countFilesByKey(records, function(record) {
+        return record['Type'] || '(unknown)';
+      })),
+      chart: 'pie'
+    },
+    {
+      title: 'Permissions by Type',
+      header: ['Permission Type', 'Permissions'],
+      rows: toRankedRows(countPermissionsByColumn(records, 'Permission Type')),
+      chart: 'pie'
+    },
+    {
+      title: 'Permissions by Role',
+      header: ['Role', 'Permissions'],
+      rows: toRankedRows(countPermissionsByColumn(records, 'Permission Role')),
+      chart: 'column'
+    },
+    {
+      title: 'Top External Domains',
+      header: ['Domain', 'Files Shared'],
+      rows: toRankedRows(countFilesByKey(records, function(record) {
+        const scope = record['Sharing Scope'];
+        return scope === SHARING_SCOPES.EXTERNAL_USER || scope === SHARING_SCOPES.EXTERNAL_DOMAIN
+          ? getGrantDomain(record)
+          : '';
+      }), DASHBOARD_TOP_LIMIT),
+      chart: 'bar'
+    }
+  ];
+}
+
+/**
+ * Writes the breakdown tables and their charts to the summary sheet,
+ * replacing the charts of the previous audit.
+ *
+ * @param {Sheet}    sheet      - the "Audit Summary" sheet
+ * @param {Object[]} breakdowns - see summarizeAuditBreakdowns
+ */
+function createDashboard(sheet, breakdowns) {
+  sheet.getCharts().forEach(function(chart) {
+    sheet.removeChart(chart);
+  });
+
+  let row = 3;
+  breakdowns.forEach(function(breakdown) {
+    sheet.getRange(row, DASHBOARD_COLUMN).setValue(breakdown.title + ':')
+      .setFontWeight('bold').setFontSize(12);
+    sheet.getRange(row + 1, DASHBOARD_COLUMN, 1, 2).setValues([breakdown.header])
+      .setFontWeight('bold').setBackground('#f1f3f4');
+
+    if (breakdown.rows.length === 0) {
+      sheet.getRange(row + 2, DASHBOARD_COLUMN).setValue('None');
+    } else {
+      const dataRange = sheet.getRange(row + 1, DASHBOARD_COLUMN, breakdown.rows.length + 1, 2);
+      sheet.getRange(row + 2, DASHBOARD_COLUMN, breakdown.rows.length, 2).setValues(breakdown.rows);
+
+      let builder = sheet.newChart();
+      if (breakdown.chart === 'pie') {
+        builder = builder.asPieChart();
+      } else if (breakdown.chart === 'column') {
+        builder = builder.asColumnChart().setLegendPosition(Charts.Position.NONE);
+      } else {
+        builder = builder.asBarChart().setLegendPosition(Charts.Position.NONE);
+      }
+      sheet.insertChart(builder
+        .addRange(dataRange)
+        .setNumHeaders(1)
+        .setTitle(breakdown.title)
+        .setOption('width', DASHBOARD_CHART_WIDTH)
+        .setOption('height', DASHBOARD_CHART_HEIGHT)
+        .setPosition(row, DASHBOARD_CHART_COLUMN, 0, 0)
+        .build());
+    }
+
+    row += Math.max(breakdown.rows.length + 3, DASHBOARD_BLOCK_ROWS);
+  });
+
+  sheet.setColumnWidth(DASHBOARD_COLUMN, 260);
+  sheet.setColumnWidth(DASHBOARD_COLUMN + 1, 100);
+}
+
+// ============ AUDIT ERRORS ============
+
+/**
+ * Per-file failures (unreadable permissions, unresolvable folders) are
+ * listed in this sheet, and the affected "Drive Audit" rows say so in
+ * their "Audit Error" column, so a failed read never passes for a
+ * private file.
+ */
+const AUDIT_ERRORS_SHEET_NAME = 'Audit Errors';
+const AUDIT_ERRORS_HEADERS = ['Time', 'File ID', 'File Name', 'Operation', 'Error'];
+
+/**
+ * How long retryAuditErrors may run; files not retried by then stay listed.
+ */
+const AUDIT_ERROR_RETRY_TIME_BUDGET_MS = 4.5 * 60 * 1000;
+
+/**
+ * Remembers a per-file failure until the current page of rows is written;
+ * see writeAuditErrors.
+ */
+function recordAuditError(rowContext, file, operation, message) {
+  Logger.log('WARNING: ' + operation + ' failed for file ' + file.id + ': ' + message);
+  rowContext.errors.push([new Date(), file.id, file.name || '', operation, message]);
+}
+
+/**
+ * Returns the "Audit Errors" sheet, creating it with its headers if needed.
+ */
+function getAuditErrorsSheet(ss) {
+  let sheet = ss.getSheetByName(AUDIT_ERRORS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(AUDIT_ERRORS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, AUDIT_ERRORS_HEADERS.length)
+      .setValues([AUDIT_ERRORS_HEADERS])
+      .setFontWeight('bold')
+      .setBackground('#4285f4')
+      .setFontColor('#ffffff');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Empties the "Audit Errors" sheet at the start of a full audit.
+ */
+function resetAuditErrors(ss) {
+  const sheet = ss.getSheetByName(AUDIT_ERRORS_SHEET_NAME);
+  if (sheet && sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, AUDIT_ERRORS_HEADERS.length).clearContent();
+  }
+}
+
+/**
+ * Updates the "Audit Errors" sheet after rows were (re)written: drops the
+ * earlier errors of the given files, then appends the errors recorded in
+ * rowContext since the last call.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Object}      rowContext - see buildFileAuditRows
+ * @param {string[]}    fileIds    - files whose rows were replaced (an
+ *                                   incremental audit or a retry); [] for
+ *                                   a full audit, which only appends
+ */
+function writeAuditErrors(ss, rowContext, fileIds) {
+  const existing = ss.getSheetByName(AUDIT_ERRORS_SHEET_NAME);
+  if (rowContext.errors.length === 0 && (!existing || fileIds.length === 0)) {
+    return;
+  }
+
+  const sheet = getAuditErrorsSheet(ss);
+  const lastRow = sheet.getLastRow();
+  let rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, AUDIT_ERRORS_HEADERS.length).getValues() : [];
+  const keptCount = rows.length;
+
+  if (fileIds.length > 0) {
+    const replaced = {};
+    fileIds.forEach(function(fileId) {
+      replaced[fileId] = true;
+    });
+    rows = rows.filter(function(row) {
+      return !replaced[row[1]];
+    });
+  }
+  rows = rows.concat(rowContext.errors);
+  rowContext.errors = [];
+
+  if (keptCount > 0) {
+    sheet.getRange(2, 1, keptCount, AUDIT_ERRORS_HEADERS.length).clearContent();
+  }
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, AUDIT_ERRORS_HEADERS.length).setValues(rows);
+  }
+}
+
+/**
+ * Number of files listed in the "Audit Errors" sheet.
+ */
+function countAuditErrorFiles(ss) {
+  const sheet = ss.getSheetByName(AUDIT_ERRORS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return 0;
+  }
+  const fileIds = {};
+  sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).getValues().forEach(function(row) {
+    fileIds[row[0]] = true;
+  });
+  return Object.keys(fileIds).length;
+}
+
+/**
+ * Menu entry point: re-reads only the files listed in "Audit Errors" and
+ * replaces their "Drive Audit" rows. Files that still fail stay listed.
+ */
+function retryAuditErrors() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  if (PropertiesService.getScriptProperties().getProperty('AUDIT_STATE')) {
+    ui.alert('Audit Running',
+      'An audit is currently running or waiting to be resumed. Retry the errors once it has finished.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const errorSheet = ss.getSheetByName(AUDIT_ERRORS_SHEET_NAME);
+  const auditSheet = ss.getSheetByName(getOutputSheetName('audit'));
+  if (!errorSheet || errorSheet.getLastRow() < 2 || !auditSheet) {
+    ui.alert('No Audit Errors', 'The last audit had no per-file errors to retry.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const fileNames = {};
+  errorSheet.getRange(2, 1, errorSheet.getLastRow() - 1, AUDIT_ERRORS_HEADERS.length).getValues()
+    .forEach(function(row) {
+      fileNames[row[1]] = row[2];
+    });
+  const fileIds = Object.keys(fileNames);
+  Logger.log('Retrying ' + fileIds.length + ' files with audit errors');
+
+  const rowContext = {
+    folderCache: {},
+    folderPermissionCache: {},
+    internalDomains: getInternalDomains(),
+    rootFolderId: getRootFolderId(),
+    errors: []
+  };
+  const rowsByFileId = {};
+  const started = new Date().getTime();
+
+  fileIds.forEach(function(fileId) {
+    if (new Date().getTime() - started > AUDIT_ERROR_RETRY_TIME_BUDGET_MS) {
+      return; // left in the sheet for the next retry
+    }
+    let file;
+    try {
+      file = callDriveWithRetry(function() {
+        return Drive.Files.get(fileId, { fields: AUDIT_FILE_FIELDS, supportsAllDrives: true });
+      }, 'Reading file ' + fileId);
+    } catch (error) {
+      recordAuditError(rowContext, { id: fileId, name: fileNames[fileId] }, 'Read file', error.toString());
+      rowsByFileId[fileId] = null;
+      return;
+    }
+    rowsByFileId[fileId] = buildFileAuditRows(file, rowContext, file.permissions);
+  });
+
+  // Files that can't be read at all keep their old rows
+  const retried = Object.keys(rowsByFileId);
+  const rebuilt = {};
+  retried.forEach(function(fileId) {
+    if (rowsByFileId[fileId]) {
+      rebuilt[fileId] = rowsByFileId[fileId];
+    }
+  });
+
+  const failedIds = {};
+  rowContext.errors.forEach(function(row) {
+    failedIds[row[1]] = true;
+  });
+  const stillFailing = Object.keys(failedIds).length;
+
+  replaceAuditRows(auditSheet, rebuilt);
+  writeAuditErrors(ss, rowContext, retried);
+  formatAuditSheet(auditSheet);
+
+  // Findings depend on the rows, so refresh them too
+  const records = getAuditRecords(auditSheet);
+  applyAuditExceptions(ss, auditSheet, records);
+  createRiskFindings(ss, records);
+  createDriftReport(ss, records);
+  createGranteeReport(ss, records);
+
+  const notRetried = fileIds.length - retried.length;
+  Logger.log('Retried ' + retried.length + ' files: ' + (retried.length - stillFailing) + ' fixed, ' +
+    stillFailing + ' still failing, ' + notRetried + ' not retried');
+  ui.alert('Retry Audit Errors',
+    'Retried ' + retried.length + ' files:\n' +
+    '✅ Fixed: ' + (retried.length - stillFailing) + '\n' +
+    '⚠️ Still failing: ' + stillFailing + (stillFailing > 0 ? ' (see "' + AUDIT_ERRORS_SHEET_NAME + '")' : '') +
+    (notRetried > 0 ? '\n\n' + notRetried + ' files were not retried before the time limit. Run this again to continue.' : '') +
+    '\n\nThe "Risk Findings", "Permission Drift" and "' + GRANTEE_SHEET_NAME + '" sheets were refreshed; ' +
+    'the summary updates with the next audit.',
+    ui.ButtonSet.OK);
+}
+
+// ============ SHARING SCOPE ============
+
+/**
+ * Values of the "Sharing Scope" column. Each audit row (one permission)
+ * is classified into exactly one of these.
+ */
+const SHARING_SCOPES = {
+  INTERNAL: 'Internal',
+  EXTERNAL_USER: 'External user',
+  EXTERNAL_DOMAIN: 'External domain',
+  PUBLIC: 'Public link',
+  PRIVATE: 'Private',
+  UNKNOWN: 'Unknown' // permissions couldn't be read; see "Audit Errors"
+};
+
+/**
+ * Consumer mail domains. A personal account's domain is not an organization,
+ * so it is never used as the default internal domain.
+ */
+const CONSUMER_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/**
+ * The domains treated as internal when classifying grantees.
+ *
+ * Read from the INTERNAL_DOMAINS document property (set from the menu),
+ * falling back to the INTERNAL_DOMAINS script property, then to the domain
+ * of the account running the audit. Consumer domains are never a default,
+ * so a personal account with nothing configured has no internal domains.
+ *
+ * @return {string[]} lower-cased domains
+ */
+function getInternalDomains() {
+  const configured = PropertiesService.getDocumentProperties().getProperty('INTERNAL_DOMAINS') ||
+    PropertiesService.getScriptProperties().getProperty('INTERNAL_DOMAINS');
+  if (configured) {
+    return parseDomainList(configured);
+  }
+
+  let email = '';
+  try {
+    email = Session.getEffectiveUser().getEmail() || '';
+  } catch (error) {
+    Logger.log('WARNING: could not read the effective user: ' + error.toString());
+  }
+
+  const domain = (email.split('@')[1] || '').toLowerCase();
+  return domain && CONSUMER_DOMAINS.indexOf(domain) === -1 ? [domain] : [];
+}
+
+/**
+ * Splits a comma/space separated list of domains, dropping blanks, leading
+ * "@" and duplicates.
+ */
+function parseDomainList(text) {
+  const domains = [];
+  String(text || '').split(/[\s,;]+/).forEach(function(part) {
+    const domain = part.trim().replace(/^@/, '').toLowerCase();
+    if (domain && domains.indexOf(domain) === -1) {
+      domains.push(domain);
+    }
+  });
+  return domains;
+}
+
+/**
+ * Whether a user/group email or a domain belongs to one of the internal
+ * domains (subdomains included).
+ */
+function isInternalGrantee(emailOrDomain, internalDomains) {
+  if (!emailOrDomain) {
+    return false;
+  }
+  const domain = String(emailOrDomain).toLowerCase().split('@').pop();
+  return internalDomains.some(function(internal) {
+    return domain === internal || domain.endsWith('.' + internal);
+  });
+}
+
+/**
+ * Classifies one permission into a SHARING_SCOPES value.
+ *
+ * Owner permissions are Private: owning a file is not a share. Pass null
+ * for files without any permissions.
+ *
+ * @param {Object}   permission      - Drive permission resource (or null)
+ * @param {string[]} internalDomains - see getInternalDomains
+ */
+function getSharingScope(permission, internalDomains) {
+  if (!permission || permission.role === 'owner') {
+    return SHARING_SCOPES.PRIVATE;
+  }
+  if (permission.type === 'anyone') {
+    return SHARING_SCOPES.PUBLIC;
+  }
+  if (permission.type === 'domain') {
+    return isInternalGrantee(permission.domain, internalDomains)
+      ? SHARING_SCOPES.INTERNAL
+      : SHARING_SCOPES.EXTERNAL_DOMAIN;
+  }
+  return isInternalGrantee(permission.emailAddress, internalDomains)
+    ? SHARING_SCOPES.INTERNAL
+    : SHARING_SCOPES.EXTERNAL_USER;
+}
+
+/**
+ * Short, human-readable name of who a permission row grants access to.
+ */
+function getGranteeLabel(record) {
+  if (record['Permission Type'] === 'anyone') {
+    return 'Anyone with the link';
+  }
+  return record['Permission Email'] || record['Permission Domain'] || record['Permission Display Name'] || '';
+}
+
+/**
+ * Whether a sharing scope reaches people outside the internal domains.
+ */
+function isExternalSharingScope(sharingScope) {
+  return sharingScope === SHARING_SCOPES.PUBLIC ||
+    sharingScope === SHARING_SCOPES.EXTERNAL_DOMAIN ||
+    sharingScope === SHARING_SCOPES.EXTERNAL_USER;
+}
+
+/**
+ * Counts files per sharing scope. A file counts once under every scope it
+ * is shared with, and under Private only when it isn't shared at all.
+ *
+ * @param {Object[]} records - rows from getAuditRecords
+ * @return {Object} SHARING_SCOPES value -> number of files
+ */
+function countFilesBySharingScope(records) {
+  const scopesByFile = {};
+  records.forEach(function(record) {
+    const fileId = record['File ID'];
+    scopesByFile[fileId] = scopesByFile[fileId] || {};
+    scopesByFile[fileId][record['Sharing Scope']] = true;
+  });
+
+  const counts = {};
+  Object.keys(SHARING_SCOPES).forEach(function(key) {
+    counts[SHARING_SCOPES[key]] = 0;
+  });
+
+  Object.keys(scopesByFile).forEach(function(fileId) {
+    const scopes = Object.keys(scopesByFile[fileId]).filter(function(scope) {
+      return scope !== SHARING_SCOPES.PRIVATE;
+    });
+    if (scopes.length === 0) {
+      counts[SHARING_SCOPES.PRIVATE]++;
+    }
+    scopes.forEach(function(scope) {
+      counts[scope] = (counts[scope] || 0) + 1;
+    });
+  });
+
+  return counts;
+}
+
+/**
+ * External grants expiring within this many days are listed in the summary
+ * (at most EXPIRY_SUMMARY_LIMIT of them, soonest first).
+ */
+const EXPIRY_WARNING_DAYS = 30;
+const EXPIRY_SUMMARY_LIMIT = 10;
+
+/**
+ * Breaks down external grants (external users/domains and public links)
+ * by expiration.
+ *
+ * @param {Object[]} records - rows from getAuditRecords
+ * @return {Object} { expiringSoon: [{ fileName, grantee, expirationTime }]
+ *                    soonest first, neverExpiring: number, expired: number }
+ */
+function summarizeExternalGrantExpiry(records) {
+  const now = new Date().getTime();
+  const warnUntil = now + EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000;
+  const result = { expiringSoon: [], neverExpiring: 0, expired: 0 };
+
+  records.forEach(function(record) {
+    if (!isExternalSharingScope(record['Sharing Scope'])) {
+      return;
+    }
+    const expiration = record['Expiration Time'];
+    if (!expiration) {
+      result.neverExpiring++;
+      return;
+    }
+    const time = new Date(expiration).getTime();
+    if (time < now) {
+      result.expired++;
+    } else if (time <= warnUntil) {
+      result.expiringSoon.push({
+        fileName: record['File Name'],
+        grantee: getGranteeLabel(record),
+        expirationTime: new Date(expiration)
+      });
+    }
+  });
+
+  result.expiringSoon.sort(function(a, b) { return a.expirationTime - b.expirationTime; });
+  return result;
+}
+
+/**
+ * Menu entry point: prompts for the internal domains and stores them in
+ * the document properties. An empty answer restores the default (the
+ * domain of the account running the audit).
+ */
+function configureInternalDomains() {
+  const ui = SpreadsheetApp.getUi();
+  const docProps = PropertiesService.getDocumentProperties();
+  const current = docProps.getProperty('INTERNAL_DOMAINS') || '';
+
+  const result = ui.prompt(
+    'Internal Domains',
+    'Enter the domains that count as internal, separated by commas ' +
+    '(e.g. example.com, example.org).\n\n' +
+    'Currently used: ' + (getInternalDomains().join(', ') || '(none)') + '\n\n' +
+    'Leave empty to use the domain of the account running the audit. ' +
+    'Changes apply to the next audit.',
+    ui.ButtonSet.OK_CANCEL);
+
+  if (result.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const domains = parseDomainList(result.getResponseText());
+  if (domains.length > 0) {
+    docProps.setProperty('INTERNAL_DOMAINS', domains.join(','));
+  } else {
+    docProps.deleteProperty('INTERNAL_DOMAINS');
+  }
+  Logger.log('Internal domains set to: ' + (domains.join(', ') || '(default)'));
+
+  ui.alert('Internal Domains',
+    '✅ Internal domains: ' + (getInternalDomains().join(', ') || '(none)') + '\n\n' +
+    'Run a new audit to update the "Sharing Scope" column.',
+    ui.ButtonSet.OK);
+}
+
+// ============ EXCEPTIONS ============
+
+/**
+ * Approved shares are listed in the "Exceptions" sheet, one per row. Each
+ * matches audit rows by one of EXCEPTION_TYPES and needs a justification,
+ * an approver and an expiry date. Matching rows get "Approved" in the
+ * "Exception" column and are left out of the risk findings, the drift
+ * report, the digest and webhooks. Exceptions are re-read by every audit,
+ * so once one expires its rows show up again.
+ */
+const EXCEPTIONS_SHEET_NAME = 'Exceptions';
+const EXCEPTIONS_HEADERS = ['Type', 'Value', 'Justification', 'Approver', 'Expires', 'Status', 'Matched Rows'];
+const EXCEPTION_TYPES = ['Grantee', 'Domain', 'File ID', 'Folder Path'];
+const EXCEPTION_APPROVED = 'Approved';
+
+/**
+ * Whether an audit record was approved by an exception.
+ */
+function isApprovedRecord(record) {
+  return record['Exception'] === EXCEPTION_APPROVED;
+}
+
+/**
+ * Reads the "Exceptions" sheet. Every entry gets a status: 'Active', or
+ * why it doesn't apply (incomplete, invalid or expired). An exception is
+ * valid through its expiry date.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Date}        now
+ * @return {Object[]} { type, value, status, active } per sheet row, in order
+ */
+function readExceptions(ss, now) {
+  const sheet = ss.getSheetByName(EXCEPTIONS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const timeZone = Session.getScriptTimeZone();
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 5).getValues().map(function(row) {
+    const type = String(row[0]).trim();
+    let value = String(row[1]).trim();
+    const expires = row[4] instanceof Date ? row[4] : (row[4] ? new Date(row[4]) : null);
+    const exception = { type: type, value: '', status: 'Active', active: false };
+
+    if (!type && !value) {
+      exception.status = '';
+    } else if (EXCEPTION_TYPES.indexOf(type) === -1) {
+      exception.status = 'Invalid: the type must be ' + EXCEPTION_TYPES.join(', ');
+    } else if (!value) {
+      exception.status = 'Invalid: enter the ' + type.toLowerCase() + ' to approve';
+    } else if (!String(row[2]).trim() || !String(row[3]).trim()) {
+      exception.status = 'Incomplete: a justification and an approver are required';
+    } else if (!expires || isNaN(expires.getTime())) {
+      exception.status = 'Incomplete: enter an expiry date';
+    } else if (now.getTime() >= expires.getTime() + 24 * 60 * 60 * 1000) {
+      exception.status = 'Expired on ' + Utilities.formatDate(expires, timeZone, 'yyyy-MM-dd');
+    } else {
+      if (type === 'File ID') {
+        value = parseDriveId(value) || value;
+      } else if (type === 'Folder Path') {
+        value = value.replace(/\/+$/, '');
+      } else {
+        value = value.replace(/^@/, '').toLowerCase();
+      }
+      exception.value = value;
+      exception.active = true;
+    }
+    return exception;
+  });
+}
+
+/**
+ * Whether an active exception covers an audit record.
+ */
+function matchesException(record, exception) {
+  if (exception.type === 'Grantee') {
+    return String(record['Permission Email'] || '').toLowerCase() === exception.value;
+  } else if (exception.type === 'Domain') {
+    return isInternalGrantee(record['Permission Email'] || record['Permission Domain'], [exception.value]);
+  } else if (exception.type === 'File ID') {
+    return record['File ID'] === exception.value;
+  }
+  const path = String(record['Folder Path'] || '');
+  return path === exception.value || path.indexOf(exception.value + '/') === 0;
+}
+
+/**
+ * Marks the audit records covered by an active exception as "Approved"
+ * (and clears the mark on all others) in the records and the "Exception"
+ * column, then writes each exception's status and match count back to the
+ * "Exceptions" sheet.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Sheet}       auditSheet
+ * @param {Object[]}    records - rows from getAuditRecords, updated in place
+ * @return {number} number of approved rows
+ */
+function applyAuditExceptions(ss, auditSheet, records) {
+  const exceptions = readExceptions(ss, new Date());
+  const active = exceptions.filter(function(exception) { return exception.active; });
+  const matches = exceptions.map(function() { return 0; });
+  let approved = 0;
+
+  const column = records.map(function(record) {
+    let approvedBy = -1;
+    for (let i = 0; i < exceptions.length && approvedBy === -1; i++) {
+      if (exceptions[i].active && matchesException(record, exceptions[i])) {
+        approvedBy = i;
+      }
+    }
+    if (approvedBy !== -1) {
+      matches[approvedBy]++;
+      approved++;
+    }
+    record['Exception'] = approvedBy !== -1 ? EXCEPTION_APPROVED : '';
+    return [record['Exception']];
+  });
+
+  const exceptionColumn = getHeaderColumn(auditSheet, 'Exception');
+  if (exceptionColumn && column.length > 0) {
+    auditSheet.getRange(2, exceptionColumn, column.length, 1).setValues(column);
+  }
+
+  const sheet = ss.getSheetByName(EXCEPTIONS_SHEET_NAME);
+  if (sheet && exceptions.length > 0) {
+    const statusRows = exceptions.map(function(exception, i) {
+      return [exception.status, exception.active ? matches[i] : ''];
+    });
+    sheet.getRange(2, 6, statusRows.length, 2).setValues(statusRows);
+    sheet.getRange(2, 6, statusRows.length, 1).setFontColors(exceptions.map(function(exception) {
+      return [exception.active ? '#188038' : '#c5221f'];
+    }));
+  }
+
+  Logger.log('Exceptions: ' + active.length + ' active of ' + exceptions.length + ', ' + approved + ' rows approved');
+  return approved;
+}
+
+/**
+ * Creates the "Exceptions" sheet with its headers, a type dropdown and a
+ * date check on the expiry column.
+ */
+function createExceptionsSheet(ss) {
+  const sheet = ss.insertSheet(EXCEPTIONS_SHEET_NAME);
+  sheet.getRange(1, 1, 1, EXCEPTIONS_HEADERS.length)
+    .setValues([EXCEPTIONS_HEADERS])
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  sheet.setFrozenRows(1);
+
+  const rows = sheet.getMaxRows() - 1;
+  sheet.getRange(2, 1, rows, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+    .requireValueInList(EXCEPTION_TYPES, true)
+    .setAllowInvalid(false)
+    .build());
+  sheet.getRange(2, 5, rows, 1)
+    .setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireDate()
+      .setAllowInvalid(false)
+      .setHelpText('The exception applies through this date.')
+      .build())
+    .setNumberFormat('yyyy-mm-dd');
+  sheet.getRange(2, 6, rows, 2).setFontStyle('italic');
+
+  sheet.setColumnWidth(2, 260);
+  sheet.setColumnWidth(3, 260);
+  sheet.setColumnWidth(6, 260);
+  Logger.log('Created the "' + EXCEPTIONS_SHEET_NAME + '" sheet');
+  return sheet;
+}
+
+/**
+ * Menu entry point: opens the "Exceptions" sheet, creating it first if
+ * needed.
+ */
+function showExceptionsSheet() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(EXCEPTIONS_SHEET_NAME);
+  const created = !sheet;
+  if (created) {
+    sheet = createExceptionsSheet(ss);
+  }
+  ss.setActiveSheet(sheet);
+
+  ui.alert('Exceptions',
+    (created ? '✅ Created the "' + EXCEPTIONS_SHEET_NAME + '" sheet.\n\n' : '') +
+    'Add one approved share per row:\n' +
+    '• Type: Grantee (an email address), Domain (also covers its subdomains), ' +
+    'File ID (an ID or file URL) or Folder Path (the folder and everything below it, ' +
+    'as shown in the "Folder Path" column)\n' +
+    '• Justification, Approver and Expires (the last day the exception applies) are required\n\n' +
+    'Matching rows are marked "Approved" and left out of the risk findings, permission drift, ' +
+    'email digest and webhooks. Every audit re-checks the exceptions, so expired ones resurface ' +
+    'automatically. Use "Apply Exceptions Now" to update the current results right away.',
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Menu entry point: re-applies the exceptions to the current results and
+ * refreshes the "Risk Findings" and "Permission Drift" sheets, without
+ * running a new audit.
+ */
+function applyExceptionsNow() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  if (PropertiesService.getScriptProperties().getProperty('AUDIT_STATE')) {
+    ui.alert('Audit Running',
+      'An audit is currently running or waiting to be resumed. It applies the exceptions when it finishes.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const auditSheet = ss.getSheetByName(getOutputSheetName('audit'));
+  if (!auditSheet || auditSheet.getLastRow() < 2) {
+    ui.alert('No Results', 'Run an audit first: there are no results to apply the exceptions to.', ui.ButtonSet.OK);
+    return;
+  }
+  if (!getHeaderColumn(auditSheet, 'Exception')) {
+    ui.alert('Run a New Audit',
+      'These results come from an older version without the "Exception" column. Run a full audit first.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const records = getAuditRecords(auditSheet);
+  const approved = applyAuditExceptions(ss, auditSheet, records);
+  const risk = createRiskFindings(ss, records);
+  createDriftReport(ss, records);
+
+  const findings = RISK_SEVERITIES.reduce(function(total, severity) {
+    return total + risk.counts[severity];
+  }, 0);
+  ui.alert('Exceptions Applied',
+    '✅ ' + approved + ' rows are approved by an exception; ' + findings + ' risk findings remain.\n\n' +
+    'The "Risk Findings" and "Permission Drift" sheets were refreshed; the summary updates with the next audit. ' +
+    'See the Status column of "' + EXCEPTIONS_SHEET_NAME + '" for exceptions that are expired or incomplete.',
+    ui.ButtonSet.OK);
+}
+
+// ============ RISK SCORING ============
+
+/**
+ * Points added to a file/permission pair's risk score for each signal.
+ * Signals stack, e.g. an "anyone" link with the writer role on a
+ * spreadsheet scores anyone + publicEdit + outsiderWriter + sensitiveType.
+ */
+const RISK_WEIGHTS = {
+  anyone: 50,           // anyone with the link
+  publicEdit: 30,       // ...and they can edit
+  externalDomain: 30,   // everyone in another organization
+  externalUser: 20,     // a user or group outside your domain
+  internalDomain: 5,    // everyone in your own domain
+  outsiderWriter: 25,   // writer/organizer role held by an outsider
+  outsiderCommenter: 10,
+  sensitiveType: 15     // exposed file is a sensitive type (see below)
+};
+
+/**
+ * Minimum score for each severity, highest first. Anything scoring above
+ * zero is at least Low.
+ */
+const RISK_SEVERITY_THRESHOLDS = [
+  { severity: 'Critical', minScore: 80, color: '#f4c7c3' },
+  { severity: 'High', minScore: 50, color: '#fce8b2' },
+  { severity: 'Medium', minScore: 25, color: '#fff2cc' },
+  { severity: 'Low', minScore: 1, color: '#e8f0fe' }
+];
+
+const RISK_SEVERITIES = RISK_SEVERITY_THRESHOLDS.map(function(t) { return t.severity; });
+
+/**
+ * MIME types (or prefixes) that usually hold data worth protecting:
+ * spreadsheets, exports, archives, databases and key material.
+ */
+const SENSITIVE_MIME_TYPES = [
+  'application/vnd.google-apps.spreadsheet',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml',
+  'application/vnd.ms-excel',
+  'text/csv',
+  'text/tab-separated-values',
+  'application/pdf',
+  'application/zip',
+  'application/x-7z-compressed',
+  'application/x-tar',
+  'application/gzip',
+  'application/sql',
+  'application/x-sqlite3',
+  'application/json',
+  'application/x-pem-file',
+  'application/pkcs',
+  'application/x-pkcs'
+];
+
+function isSensitiveMimeType(mimeType) {
+  return SENSITIVE_MIME_TYPES.some(function(prefix) {
+    return String(mimeType || '').indexOf(prefix) === 0;
+  });
+}
+
+/**
+ * Scores one file/permission pair from the "Drive Audit" sheet.
+ *
+ * Only shares score: Private rows (owners, files without permissions)
+ * score 0. Every signal that contributes adds a human-readable reason.
+ *
+ * @param {Object} record - a row from getAuditRecords
+ * @return {{score: number, reasons: string[]}}
+ */
+function scorePermissionRisk(record) {
+  const sharingScope = record['Sharing Scope'];
+  const type = record['Permission Type'];
+  const role = record['Permission Role'];
+  const result = { score: 0, reasons: [] };
+
+  function add(points, reason) {
+    result.score += points;
+    result.reasons.push(reason);
+  }
+
+  if (sharingScope === SHARING_SCOPES.PUBLIC) {
+    add(RISK_WEIGHTS.anyone, 'Anyone with the link can access');
+    if (role === 'writer') {
+      add(RISK_WEIGHTS.publicEdit, 'Anyone with the link can edit');
+    }
+  } else if (sharingScope === SHARING_SCOPES.EXTERNAL_DOMAIN) {
+    add(RISK_WEIGHTS.externalDomain, 'Shared with external domain ' + record['Permission Domain']);
+  } else if (sharingScope === SHARING_SCOPES.EXTERNAL_USER) {
+    add(RISK_WEIGHTS.externalUser, 'Shared with external ' + type + ' ' +
+      (record['Permission Email'] || record['Permission Display Name']));
+  } else if (sharingScope === SHARING_SCOPES.INTERNAL && type === 'domain') {
+    add(RISK_WEIGHTS.internalDomain, 'Shared with everyone in ' + record['Permission Domain']);
+  }
+
+  if (isExternalSharingScope(sharingScope)) {
+    if (role === 'writer' || role === 'fileOrganizer' || role === 'organizer') {
+      add(RISK_WEIGHTS.outsiderWriter, 'Outsider has ' + role + ' access');
+    } else if (role === 'commenter') {
+      add(RISK_WEIGHTS.outsiderCommenter, 'Outsider can comment');
+    }
+  }
+
+  if (result.score > 0 && isSensitiveMimeType(record['MIME Type'])) {
+    add(RISK_WEIGHTS.sensitiveType, 'Sensitive file type (' + record['Type'] + ')');
+  }
+
+  return result;
+}
+
+/**
+ * Maps a risk score to its severity entry in RISK_SEVERITY_THRESHOLDS,
+ * or null for a score of 0.
+ */
+function getRiskSeverity(score) {
+  for (let i = 0; i < RISK_SEVERITY_THRESHOLDS.length; i++) {
+    if (score >= RISK_SEVERITY_THRESHOLDS[i].minScore) {
+      return RISK_SEVERITY_THRESHOLDS[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Scores every audit record and writes the ranked "Risk Findings" sheet,
+ * highest score first. Rows approved by an exception are left out.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Object[]}    records - rows from getAuditRecords
+ * @return {{counts: Object, findings: Object[]}} severity -> number of
+ *   findings, and the ranked findings ({ record, score, severity, reasons })
+ */
+function createRiskFindings(ss, records) {
+  const findings = [];
+  records.forEach(function(record) {
+    if (isApprovedRecord(record)) {
+      return;
+    }
+    const risk = scorePermissionRisk(record);
+    if (risk.score > 0) {
+      findings.push({ record: record, score: risk.score, reasons: risk.reasons });
+    }
+  });
+
+  findings.sort(function(a, b) {
+    return b.score - a.score ||
+      String(a.record['File Name']).localeCompare(String(b.record['File Name']));
+  });
+
+  const counts = {};
+  RISK_SEVERITIES.forEach(function(severity) { counts[severity] = 0; });
+
+  const headers = [
+    'Rank',
+    'Severity',
+    'Risk Score',
+    'File Name',
+    'Folder Path',
+    'Owner',
+    'Type',
+    'Permission Type',
+    'Permission Role',
+    'Grantee',
+    'Reason',
+    'URL'
+  ];
+
+  const rows = [];
+  const severityColors = [];
+  findings.forEach(function(finding, i) {
+    const record = finding.record;
+    const severity = getRiskSeverity(finding.score);
+    finding.severity = severity.severity;
+    counts[severity.severity]++;
+    severityColors.push([severity.color]);
+    rows.push([
+      i + 1,
+      severity.severity,
+      finding.score,
+      record['File Name'],
+      record['Folder Path'],
+      record['Owner'],
+      record['Type'],
+      record['Permission Type'],
+      record['Permission Role'],
+      getGranteeLabel(record),
+      finding.reasons.join('; '),
+      record['URL']
+    ]);
+  });
+
+  let sheet = ss.getSheetByName('Risk Findings');
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = ss.insertSheet('Risk Findings');
+  }
+
+  sheet.getRange(1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(2, 2, rows.length, 1).setBackgrounds(severityColors).setFontWeight('bold');
+    sheet.getRange(1, 1, rows.length + 1, headers.length).createFilter();
+    for (let i = 1; i <= headers.length; i++) {
+      sheet.autoResizeColumn(i);
+    }
+  } else {
+    sheet.getRange(2, 1).setValue('No risky shares found.');
+  }
+
+  Logger.log('Risk findings written: ' + rows.length + ' (' + JSON.stringify(counts) + ')');
+  return { counts: counts, findings: findings };
+}
+
+// ============ QUERY FILTERS ============
+
+/**
+ * File types offered by the filter builder, as label -> MIME type.
+ */
+const QUERY_MIME_TYPES = {
+  'Google Docs': 'application/vnd.google-apps.document',
+  'Google Sheets': 'application/vnd.google-apps.spreadsheet',
+  'Google Slides': 'application/vnd.google-apps.presentation',
+  'Google Forms': 'application/vnd.google-apps.form',
+  'Google Drawings': 'application/vnd.google-apps.drawing',
+  'Folders': FOLDER_MIME_TYPE,
+  'PDF': 'application/pdf',
+  'Word': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'Excel': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'PowerPoint': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'CSV': 'text/csv'
+};
+
+/**
+ * Scopes a filter can be combined with from the filter builder. Folder and
+ * shared drive audits pick their target from their own menu items.
+ */
+const QUERY_SCOPES = ['all', 'myDrive', 'owned'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Returns the saved filter presets, as name -> filters. See buildDriveQuery
+ * for the filter fields.
+ */
+function getQueryPresets() {
+  const saved = PropertiesService.getDocumentProperties().getProperty('QUERY_PRESETS');
+  if (!saved) {
+    return {};
+  }
+  try {
+    return JSON.parse(saved);
+  } catch (error) {
+    Logger.log('WARNING: could not parse saved filter presets: ' + error.toString());
+    return {};
+  }
+}
+
+/**
+ * Quotes a value for a Drive query string literal.
+ */
+function quoteQueryValue(value) {
+  return "'" + String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+}
+
+/**
+ * Builds a Drive files.list query from filter builder fields. Every field
+ * is optional and all given fields must match:
+ *
+ *   mimeTypes          - any of these MIME types
+ *   modifiedWithinDays - modified in the last N days (from when the audit starts)
+ *   modifiedAfter/modifiedBefore, createdAfter/createdBefore
+ *                      - inclusive 'YYYY-MM-DD' dates (UTC)
+ *   nameContains       - file name contains this text
+ *   owner              - owned by this email address
+ *   starred            - 'yes' | 'no' | '' (either)
+ *   trashed            - 'yes' | 'no' | '' (either)
+ *
+ * @param {Object} filters
+ * @return {string} the query, or '' when no field is set
+ */
+function buildDriveQuery(filters) {
+  const clauses = [];
+
+  const mimeTypes = filters.mimeTypes || [];
+  if (mimeTypes.length > 0) {
+    clauses.push('(' + mimeTypes.map(function(mimeType) {
+      return 'mimeType = ' + quoteQueryValue(mimeType);
+    }).join(' or ') + ')');
+  }
+
+  const days = parseInt(filters.modifiedWithinDays, 10);
+  if (days > 0) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    clauses.push('modifiedTime >= ' + quoteQueryValue(since.toISOString().replace(/\.\d+Z$/, '')));
+  }
+
+  [['modifiedTime', filters.modifiedAfter, filters.modifiedBefore],
+   ['createdTime', filters.createdAfter, filters.createdBefore]].forEach(function(range) {
+    if (range[1]) {
+      clauses.push(range[0] + ' >= ' + quoteQueryValue(range[1] + 'T00:00:00'));
+    }
+    if (range[2]) {
+      clauses.push(range[0] + ' <= ' + quoteQueryValue(range[2] + 'T23:59:59'));
+    }
+  });
+
+  if (filters.nameContains) {
+    clauses.push('name contains ' + quoteQueryValue(filters.nameContains));
+  }
+  if (filters.owner) {
+    clauses.push(quoteQueryValue(filters.owner) + ' in owners');
+  }
+  if (filters.starred === 'yes' || filters.starred === 'no') {
+    clauses.push('starred = ' + (filters.starred === 'yes'));
+  }
+  if (filters.trashed === 'yes' || filters.trashed === 'no') {
+    clauses.push('trashed = ' + (filters.trashed === 'yes'));
+  }
+
+  return clauses.join(' and ');
+}
+
+/**
+ * Checks filter builder fields, returning an error message or ''.
+ */
+function validateQueryFilters(filters) {
+  const dates = ['modifiedAfter', 'modifiedBefore', 'createdAfter', 'createdBefore'];
+  for (let i = 0; i < dates.length; i++) {
+    if (filters[dates[i]] && !DATE_PATTERN.test(filters[dates[i]])) {
+      return 'Dates must be in YYYY-MM-DD format.';
+    }
+  }
+  if (filters.modifiedAfter && filters.modifiedBefore && filters.modifiedAfter > filters.modifiedBefore) {
+    return 'The "modified after" date is later than the "modified before" date.';
+  }
+  if (filters.createdAfter && filters.createdBefore && filters.createdAfter > filters.createdBefore) {
+    return 'The "created after" date is later than the "created before" date.';
+  }
+  if (filters.modifiedWithinDays && !(parseInt(filters.modifiedWithinDays, 10) > 0)) {
+    return '"Modified in the last N days" must be a positive number.';
+  }
+  if (filters.owner && parseEmailList(filters.owner).length !== 1) {
+    return 'Owner must be a single email address.';
+  }
+  if (!buildDriveQuery(filters)) {
+    return 'Set at least one filter.';
+  }
+  return '';
+}
+
+/**
+ * Menu entry point: opens the filter builder.
+ */
+function showQueryBuilder() {
+  const template = HtmlService.createTemplateFromFile('QueryBuilderDialog');
+  template.mimeTypes = QUERY_MIME_TYPES;
+  template.scopes = QUERY_SCOPES.map(function(scope) {
+    return { value: scope, label: describeAuditScope(scope) };
+  });
+  template.presets = getQueryPresets();
+  SpreadsheetApp.getUi().showModalDialog(
+    template.evaluate().setWidth(520).setHeight(600), 'Audit With a Filter');
+}
+
+/**
+ * Saves (or overwrites) a named filter preset. Called from the filter builder.
+ *
+ * @return {Object} { success, message, presets }
+ */
+function saveQueryPreset(name, filters) {
+  name = String(name || '').trim();
+  if (!name) {
+    return { success: false, message: 'Give the preset a name.' };
+  }
+  const error = validateQueryFilters(filters);
+  if (error) {
+    return { success: false, message: error };
+  }
+
+  const presets = getQueryPresets();
+  presets[name] = filters;
+  PropertiesService.getDocumentProperties().setProperty('QUERY_PRESETS', JSON.stringify(presets));
+  Logger.log('Saved filter preset "' + name + '": ' + buildDriveQuery(filters));
+  return { success: true, message: 'Saved preset "' + name + '".', presets: presets };
+}
+
+/**
+ * Deletes a named filter preset. Called from the filter builder.
+ *
+ * @return {Object} { success, message, presets }
+ */
+function deleteQueryPreset(name) {
+  const docProps = PropertiesService.getDocumentProperties();
+  const presets = getQueryPresets();
+  if (!presets[name]) {
+    return { success: false, message: 'There is no preset named "' + name + '".', presets: presets };
+  }
+  const usedBy = getSchedules().filter(function(schedule) {
+    return schedule.preset === name;
+  });
+  if (usedBy.length > 0) {
+    return {
+      success: false,
+      message: 'The schedule "' + usedBy[0].name + '" uses this preset. Change or delete the schedule first.',
+      presets: presets
+    };
+  }
+
+  delete presets[name];
+  docProps.setProperty('QUERY_PRESETS', JSON.stringify(presets));
+  if (docProps.getProperty('SCHEDULE_QUERY_PRESET') === name) {
+    docProps.deleteProperty('SCHEDULE_QUERY_PRESET');
+  }
+  Logger.log('Deleted filter preset "' + name + '"');
+  return { success: true, message: 'Deleted preset "' + name + '".', presets: presets };
+}
+
+/**
+ * Saves the filters as a preset and audits the scope with them. Called
+ * from the filter builder.
+ *
+ * @return {Object} { success, message } - only returned on failure; on
+ *   success the audit runs and the dialog is closed
+ */
+function startQueryAudit(scope, name, filters) {
+  if (QUERY_SCOPES.indexOf(scope) === -1) {
+    return { success: false, message: 'Unknown scope: ' + scope };
+  }
+  const saved = saveQueryPreset(name, filters);
+  if (!saved.success) {
+    return saved;
+  }
+  startAuditFromMenu(scope, '', String(name).trim());
+  return { success: true, message: 'Audit started.' };
+}
+
+// ============ INCREMENTAL AUDITS ============
+
+/**
+ * Full re-scan interval used by manual incremental audits when none is
+ * configured.
+ */
+const DEFAULT_FULL_RESCAN_DAYS = 7;
+
+/**
+ * File fields requested from the Changes API; the same as a full listing
+ * plus what's needed to decide whether a changed file is in scope.
+ */
+const CHANGED_FILE_FIELDS = AUDIT_FILE_FIELDS + ', trashed, driveId';
+
+/**
+ * The change token and scope left by the last completed audit, or null.
+ * Filtered audits don't leave one: a changed file can't be checked
+ * against a Drive query, so they always run in full.
+ *
+ * @return {Object} { token, scope, target, fullAuditTime }
+ */
+function getIncrementalBase() {
+  const saved = PropertiesService.getScriptProperties().getProperty('INCREMENTAL_BASE');
+  return saved ? JSON.parse(saved) : null;
+}
+
+/**
+ * Records where the next incremental audit continues from. Called when an
+ * audit completes, while its scope target is still in the script properties.
+ */
+function saveIncrementalBase(auditState) {
+  const scriptProps = PropertiesService.getScriptProperties();
+  if (auditState.query || !auditState.changesToken) {
+    scriptProps.deleteProperty('INCREMENTAL_BASE');
+    return;
+  }
+
+  scriptProps.setProperty('INCREMENTAL_BASE', JSON.stringify({
+    token: auditState.changesToken,
+    scope: auditState.scope,
+    target: scriptProps.getProperty('AUDIT_SCOPE_TARGET') || '',
+    fullAuditTime: auditState.mode === 'incremental' ? auditState.fullAuditTime : auditState.startTime
+  }));
+}
+
+/**
+ * Whether the last full audit is older than the full re-scan interval.
+ */
+function isFullRescanDue(base) {
+  const days = parseInt(PropertiesService.getDocumentProperties().getProperty('FULL_RESCAN_DAYS'), 10) ||
+    DEFAULT_FULL_RESCAN_DAYS;
+  return Date.now() - new Date(base.fullAuditTime).getTime() > days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * A Changes API token for "now", taken before a full audit starts listing
+ * so that nothing changed during the audit is missed next time.
+ */
+function getChangesStartToken() {
+  try {
+    return Drive.Changes.getStartPageToken({ supportsAllDrives: true }).startPageToken;
+  } catch (error) {
+    Logger.log('WARNING: could not get a change token, the next audit will be a full one: ' + error.toString());
+    return null;
+  }
+}
+
+/**
+ * Whether a changed file belongs to the audit's scope. Mirrors what the
+ * full listing in getDriveFilesBatch returns for each scope.
+ */
+function isFileInAuditScope(file, auditState, folderCache) {
+  if (auditState.scope === 'myDrive') {
+    return !file.driveId;
+  } else if (auditState.scope === 'owned') {
+    return !file.driveId && (file.owners || []).some(function(owner) { return owner.me; });
+  } else if (auditState.scope === 'sharedDrives') {
+    return auditState.driveIds.indexOf(file.driveId) !== -1;
+  } else if (auditState.scope === 'folder') {
+    return !file.trashed && isInFolderTree(file.parents, auditState.rootFolderId, folderCache);
+  }
+  return true;
+}
+
+/**
+ * Whether a folder is, or is below, rootFolderId. Uses the same folder
+ * cache as getFolderPath.
+ */
+function isInFolderTree(parents, rootFolderId, folderCache) {
+  let currentId = parents && parents.length > 0 ? parents[0] : null;
+  let depth = 0;
+
+  while (currentId && depth < 100) {
+    depth++;
+    if (currentId === rootFolderId) {
+      return true;
+    }
+
+    let folder = folderCache[currentId];
+    if (folder === undefined) {
+      try {
+        folder = callDriveWithRetry(function() {
+          return Drive.Files.get(currentId, { fields: 'id, name, parents', supportsAllDrives: true });
+        }, 'Reading folder ' + currentId);
+      } catch (error) {
+        Logger.log('WARNING: could not resolve folder ' + currentId + ': ' + error.toString());
+        folder = null;
+      }
+      folderCache[currentId] = folder;
+    }
+    currentId = folder && folder.parents && folder.parents.length > 0 ? folder.parents[0] : null;
+  }
+  return false;
+}
+
+/**
+ * Processing phase of an incremental audit: reads the Changes API from
+ * auditState.changesToken and replaces the rows of every changed file in
+ * the "Drive Audit" sheet (removing them when the file is gone or out of
+ * scope). Changes are applied to the sheet before returning, so a run
+ * that times out can simply continue from the saved token.
+ *
+ * @param {number} deadline - time (ms) after which to stop and continue later
+ * @return {boolean} true when all changes are processed
+ */
+function processAuditChanges(auditState, auditSheet, rowContext, deadline) {
+  const rowsByFileId = {};
+  let finished = false;
+
+  try {
+    while (new Date().getTime() < deadline) {
+      const response = callDriveWithRetry(function() {
+        return Drive.Changes.list(auditState.changesToken, {
+          pageSize: 100,
+          fields: 'nextPageToken, newStartPageToken, changes(fileId, removed, file(' + CHANGED_FILE_FIELDS + '))',
+          supportsAllDrives: true,
+          includeItemsFromAllDrives: true,
+          includeRemoved: true
+        });
+      }, 'Listing changes');
+
+      const changedFiles = [];
+      (response.changes || []).forEach(function(change) {
+        if (!change.fileId) {
+          return; // a change to a shared drive itself, not to a file
+        }
+        auditState.filesProcessed++;
+        const file = change.file;
+        if (!change.removed && file && isFileInAuditScope(file, auditState, rowContext.folderCache)) {
+          changedFiles.push(file);
+        } else {
+          rowsByFileId[change.fileId] = [];
+        }
+      });
+
+      const permissionFailures = {};
+      const permissionsById = fetchFilePermissions(changedFiles, auditState.permissionStats, permissionFailures);
+      changedFiles.forEach(function(file) {
+        rowsByFileId[file.id] = buildFileAuditRows(file, rowContext, permissionsById[file.id],
+          permissionFailures[file.id]);
+      });
+
+      if (response.newStartPageToken) {
+        auditState.changesToken = response.newStartPageToken;
+        finished = true;
+        break;
+      }
+      auditState.changesToken = response.nextPageToken;
+    }
+  } finally {
+    replaceAuditRows(auditSheet, rowsByFileId);
+    writeAuditErrors(SpreadsheetApp.getActiveSpreadsheet(), rowContext, Object.keys(rowsByFileId));
+  }
+
+  Logger.log('Changed files processed so far: ' + auditState.filesProcessed);
+  updateAuditStatus('RUNNING', 'Applying changes... ' + auditState.filesProcessed + ' changed files processed',
+    auditState.filesProcessed, 0, auditState);
+  return finished;
+}
+
+/**
+ * Replaces the rows of the given files in the "Drive Audit" sheet. Rows of
+ * other files, including their Remediate ticks and results, are kept.
+ *
+ * @param {Sheet}  auditSheet
+ * @param {Object} rowsByFileId - file id -> new rows ([] to remove the file)
+ */
+function replaceAuditRows(auditSheet, rowsByFileId) {
+  const fileIds = Object.keys(rowsByFileId);
+  if (fileIds.length === 0) {
+    return;
+  }
+
+  const fileIdIndex = AUDIT_HEADERS.indexOf('File ID');
+  const lastRow = auditSheet.getLastRow();
+  const existing = lastRow > 1
+    ? auditSheet.getRange(2, 1, lastRow - 1, AUDIT_HEADERS.length).getValues()
+    : [];
+
+  const rows = existing.filter(function(row) {
+    return !rowsByFileId.hasOwnProperty(row[fileIdIndex]);
+  });
+  fileIds.forEach(function(fileId) {
+    Array.prototype.push.apply(rows, rowsByFileId[fileId]);
+  });
+
+  if (existing.length > 0) {
+    const oldRange = auditSheet.getRange(2, 1, existing.length, AUDIT_HEADERS.length);
+    oldRange.clearDataValidations(); // remediation checkboxes, re-added when formatting
+    oldRange.clearContent();
+  }
+  if (rows.length > 0) {
+    auditSheet.getRange(2, 1, rows.length, AUDIT_HEADERS.length).setValues(rows);
+  }
+  Logger.log('Replaced rows of ' + fileIds.length + ' changed files. Total rows: ' + rows.length);
+}
+
+/**
+ * Number of distinct files in the audit records.
+ */
+function countAuditedFiles(records) {
+  const fileIds = {};
+  records.forEach(function(record) {
+    fileIds[record['File ID']] = true;
+  });
+  return Object.keys(fileIds).length;
+}
+
+/**
+ * Menu entry point: prompts for the full re-scan interval, which also
+ * turns incremental scheduled audits on or off.
+ */
+function configureIncrementalAudits() {
+  const ui = SpreadsheetApp.getUi();
+  const docProps = PropertiesService.getDocumentProperties();
+  const current = docProps.getProperty('FULL_RESCAN_DAYS');
+
+  const result = ui.prompt(
+    'Incremental Audits',
+    'Incremental audits only fetch the files changed since the last audit.\n\n' +
+    'Enter after how many days an incremental audit runs a full re-scan instead, or leave empty ' +
+    'for the default of ' + DEFAULT_FULL_RESCAN_DAYS + ' days.\n\n' +
+    'To run scheduled audits incrementally, pick "Changes since last audit" as what a schedule ' +
+    'audits (Drive Audit → Scheduled Audits…).\n\n' +
+    'Currently: full re-scan every ' + (current || DEFAULT_FULL_RESCAN_DAYS) + ' days\n\n' +
+    'Filtered audits always run in full.',
+    ui.ButtonSet.OK_CANCEL);
+
+  if (result.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const text = result.getResponseText().trim();
+  const days = parseInt(text, 10);
+  if (text && !(days > 0 && String(days) === text)) {
+    ui.alert('Incremental Audits', 'Enter a whole number of days, or leave it empty.', ui.ButtonSet.OK);
+    return;
+  }
+
+  if (days > 0) {
+    docProps.setProperty('FULL_RESCAN_DAYS', String(days));
+  } else {
+    docProps.deleteProperty('FULL_RESCAN_DAYS');
+  }
+  Logger.log('Full re-scan interval set to: ' + (days || DEFAULT_FULL_RESCAN_DAYS + ' (default)'));
+
+  ui.alert('Incremental Audits',
+    '✅ Incremental audits now run a full re-scan every ' + (days || DEFAULT_FULL_RESCAN_DAYS) + ' days.',
+    ui.ButtonSet.OK);
+}
+
+// ============ SHARED DRIVES ============
+
+/**
+ * Lists the shared drives the user can see, sorted by name.
+ *
+ * @return {Object[]} { id, name }
+ */
+function listSharedDrives() {
+  const drives = [];
+  let pageToken = null;
+  do {
+    const response = Drive.Drives.list({
+      pageSize: 100,
+      pageToken: pageToken,
+      fields: 'nextPageToken, drives(id, name)'
+    });
+    (response.drives || []).forEach(function(drive) {
+      drives.push({ id: drive.id, name: drive.name });
+    });
+    pageToken = response.nextPageToken;
+  } while (pageToken);
+
+  drives.sort(function(a, b) { return a.name.localeCompare(b.name); });
+  return drives;
+}
+
+/**
+ * Looks up shared drives by id, skipping any that can't be read.
+ *
+ * @param {string[]} driveIds
+ * @return {Object[]} Drive drive resources ({ id, name, restrictions })
+ */
+function getSharedDrives(driveIds) {
+  const drives = [];
+  driveIds.forEach(function(driveId) {
+    if (!driveId) {
+      return;
+    }
+    try {
+      drives.push(Drive.Drives.get(driveId, { fields: 'id, name, restrictions' }));
+    } catch (error) {
+      Logger.log('WARNING: could not read shared drive ' + driveId + ': ' + error.toString());
+    }
+  });
+  return drives;
+}
+
+/**
+ * Menu entry point: lets the user pick the shared drives to audit.
+ */
+function showSharedDrivePicker() {
+  const ui = SpreadsheetApp.getUi();
+  let drives;
+  try {
+    drives = listSharedDrives();
+  } catch (error) {
+    Logger.log('ERROR listing shared drives: ' + error.toString());
+    ui.alert('Error', 'Could not list your shared drives:\n' + error.toString(), ui.ButtonSet.OK);
+    return;
+  }
+
+  if (drives.length === 0) {
+    ui.alert('No Shared Drives', 'You are not a member of any shared drive.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const template = HtmlService.createTemplateFromFile('SharedDrivePicker');
+  template.drives = drives;
+  ui.showModalDialog(template.evaluate().setWidth(420).setHeight(440), 'Audit Shared Drives');
+}
+
+/**
+ * Called from the shared drive picker with the selected drive ids.
+ */
+function startSharedDriveAudit(driveIds) {
+  startAuditFromMenu('sharedDrives', driveIds.join(','));
+}
+
+/**
+ * Writes the "Shared Drive Members" sheet: one row per member permission
+ * of each drive, with the drive's restriction settings.
+ *
+ * @param {Spreadsheet} ss
+ * @param {string[]}    driveIds
+ */
+function createSharedDriveMembersReport(ss, driveIds) {
+  const internalDomains = getInternalDomains();
+  const headers = [
+    'Drive Name',
+    'Drive ID',
+    'Member',
+    'Member Type',
+    'Role',
+    'Sharing Scope',
+    'Domain Users Only',
+    'Drive Members Only',
+    'Copy/Download Restricted',
+    'Admin Managed Restrictions'
+  ];
+  const rows = [];
+
+  getSharedDrives(driveIds).forEach(function(drive) {
+    const restrictions = drive.restrictions || {};
+    const settings = [
+      formatYesNo(!!restrictions.domainUsersOnly),
+      formatYesNo(!!restrictions.driveMembersOnly),
+      formatYesNo(!!restrictions.copyRequiresWriterPermission),
+      formatYesNo(!!restrictions.adminManagedRestrictions)
+    ];
+
+    let members = [];
+    let pageToken = null;
+    try {
+      do {
+        const response = callDriveWithRetry(function() {
+          return Drive.Permissions.list(drive.id, {
+            fields: 'nextPageToken, permissions(id, type, role, emailAddress, domain, displayName)',
+            pageSize: 100,
+            pageToken: pageToken,
+            supportsAllDrives: true
+          });
+        }, 'Listing members of shared drive ' + drive.id);
+        members = members.concat(response.permissions || []);
+        pageToken = response.nextPageToken;
+      } while (pageToken);
+    } catch (error) {
+      Logger.log('WARNING: could not list members of shared drive ' + drive.id + ': ' + error.toString());
+      rows.push([drive.name, drive.id, '(could not list members: ' + error.message + ')', '', '', ''].concat(settings));
+      return;
+    }
+
+    members.forEach(function(member) {
+      rows.push([
+        drive.name,
+        drive.id,
+        member.type === 'anyone' ? 'Anyone with the link' : (member.emailAddress || member.domain || member.displayName || ''),
+        member.type,
+        member.role,
+        getSharingScope(member, internalDomains)
+      ].concat(settings));
+    });
+  });
+
+  let sheet = ss.getSheetByName('Shared Drive Members');
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = ss.insertSheet('Shared Drive Members');
+  }
+
+  sheet.getRange(1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(1, 1, rows.length + 1, headers.length).createFilter();
+    for (let i = 1; i <= headers.length; i++) {
+      sheet.autoResizeColumn(i);
+    }
+  }
+
+  Logger.log('Shared drive members written: ' + rows.length);
+}
+
+// ============ FOLDER DRIFT ============
+
+/**
+ * Writes the "Permission Drift" sheet: every file permission that grants
+ * more than the file's parent folder does (see getPermissionDrift), unless
+ * an exception approves it.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Object[]}    records - rows from getAuditRecords
+ * @return {number} number of drifted permissions
+ */
+function createDriftReport(ss, records) {
+  const headers = ['File Name', 'Folder Path', 'Owner', 'Permission Type', 'Grantee', 'Permission Role', 'Drift', 'URL'];
+  const rows = [];
+
+  records.forEach(function(record) {
+    if (record['Folder Drift'] && !isApprovedRecord(record)) {
+      rows.push([
+        record['File Name'],
+        record['Folder Path'],
+        record['Owner'],
+        record['Permission Type'],
+        getGranteeLabel(record),
+        record['Permission Role'],
+        record['Folder Drift'],
+        record['URL']
+      ]);
+    }
+  });
+
+  let sheet = ss.getSheetByName('Permission Drift');
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = ss.insertSheet('Permission Drift');
+  }
+
+  sheet.getRange(1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(1, 1, rows.length + 1, headers.length).createFilter();
+    for (let i = 1; i <= headers.length; i++) {
+      sheet.autoResizeColumn(i);
+    }
+  } else {
+    sheet.getRange(2, 1).setValue('No permission drift found: every file is shared like its folder.');
+  }
+
+  Logger.log('Permission drift entries: ' + rows.length);
+  return rows.length;
+}
+
+// ============ GRANTEE ACCESS ============
+
+/**
+ * The "By Grantee" sheet turns the per-file audit around: one row per
+ * email, domain or "anyone with the link", with everything they can reach.
+ * Links per row are capped to keep cells readable (and under the 50,000
+ * character cell limit); the lookup dialog lists them all.
+ */
+const GRANTEE_SHEET_NAME = 'By Grantee';
+const GRANTEE_LINK_LIMIT = 50;
+
+/**
+ * Identifies the grantee of an audit row in lower case, matching
+ * getGranteeLabel; '' for rows without a permission.
+ */
+function getGranteeRecordKey(record) {
+  if (!record['Permission Type']) {
+    return '';
+  }
+  return String(getGranteeLabel(record)).toLowerCase();
+}
+
+/**
+ * Whether a role grants edit access (writer or higher, see ROLE_RANK).
+ */
+function isWriterRole(role) {
+  return ROLE_RANK.indexOf(role) >= ROLE_RANK.indexOf('writer');
+}
+
+/**
+ * Writes the "By Grantee" sheet: per grantee the number of files, their
+ * highest role, the number of grants with edit access and links to the
+ * files, most files first.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Object[]}    records - rows from getAuditRecords
+ * @return {number} number of grantees
+ */
+function createGranteeReport(ss, records) {
+  const headers = ['Grantee', 'Permission Type', 'Sharing Scope', 'Files', 'Highest Role', 'Writer Grants', 'File Links'];
+  const grantees = {};
+
+  records.forEach(function(record) {
+    const key = getGranteeRecordKey(record);
+    if (!key) {
+      return;
+    }
+    const grantee = grantees[key] = grantees[key] || {
+      label: getGranteeLabel(record),
+      type: record['Permission Type'],
+      sharingScope: record['Sharing Scope'],
+      fileIds: {},
+      links: [],
+      highestRole: '',
+      writerGrants: 0
+    };
+
+    if (!grantee.fileIds[record['File ID']]) {
+      grantee.fileIds[record['File ID']] = true;
+      grantee.links.push(record['URL']);
+    }
+    const role = record['Permission Role'];
+    if (ROLE_RANK.indexOf(role) > ROLE_RANK.indexOf(grantee.highestRole)) {
+      grantee.highestRole = role;
+    }
+    if (isWriterRole(role)) {
+      grantee.writerGrants++;
+    }
+  });
+
+  const rows = Object.keys(grantees).map(function(key) {
+    const grantee = grantees[key];
+    const links = grantee.links.filter(String);
+    let linkText = links.slice(0, GRANTEE_LINK_LIMIT).join('\n');
+    if (links.length > GRANTEE_LINK_LIMIT) {
+      linkText += '\n… and ' + (links.length - GRANTEE_LINK_LIMIT) + ' more (Drive Audit → Look Up Grantee Access)';
+    }
+    return [
+      grantee.label,
+      grantee.type,
+      grantee.sharingScope,
+      grantee.links.length,
+      grantee.highestRole,
+      grantee.writerGrants,
+      linkText
+    ];
+  }).sort(function(a, b) {
+    return b[3] - a[3];
+  });
+
+  let sheet = ss.getSheetByName(GRANTEE_SHEET_NAME);
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = ss.insertSheet(GRANTEE_SHEET_NAME);
+  }
+
+  sheet.getRange(1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(1, 1, rows.length + 1, headers.length).createFilter();
+    for (let i = 1; i < headers.length; i++) {
+      sheet.autoResizeColumn(i);
+    }
+    sheet.setColumnWidth(headers.length, 400);
+  } else {
+    sheet.getRange(2, 1).setValue('No permissions found in the audit.');
+  }
+
+  Logger.log('Grantees: ' + rows.length);
+  return rows.length;
+}
+
+/**
+ * Menu entry point: opens the dialog that lists everything one email or
+ * domain can access.
+ */
+function showGranteeLookup() {
+  const template = HtmlService.createTemplateFromFile('GranteeLookupDialog');
+  template.auditSheetName = getOutputSheetName('audit');
+  SpreadsheetApp.getUi().showModalDialog(
+    template.evaluate().setWidth(680).setHeight(500),
+    'Look Up Grantee Access');
+}
+
+/**
+ * Called from the lookup dialog. An email matches its own grants; a domain
+ * matches grants to the domain and to every address in it; "anyone"
+ * matches public links.
+ *
+ * @param {string} query - email address, domain or "anyone"
+ * @return {Object} { success, message, rows: [{ fileName, folderPath,
+ *   owner, grantee, type, role, sharingScope, url }] }
+ */
+function lookupGranteeAccess(query) {
+  const term = String(query || '').trim().toLowerCase().replace(/^@/, '');
+  if (!term) {
+    return { success: false, message: 'Enter an email address or a domain.' };
+  }
+
+  const auditSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(getOutputSheetName('audit'));
+  if (!auditSheet || auditSheet.getLastRow() < 2) {
+    return { success: false, message: 'Run an audit first: there are no results to search.' };
+  }
+
+  const isAnyone = term === 'anyone' || term === 'anyone with the link';
+  const isEmail = term.indexOf('@') !== -1;
+  const rows = [];
+  const fileIds = {};
+
+  getAuditRecords(auditSheet).forEach(function(record) {
+    const type = record['Permission Type'];
+    const email = String(record['Permission Email'] || '').toLowerCase();
+    const domain = String(record['Permission Domain'] || '').toLowerCase();
+    let matches;
+    if (isAnyone) {
+      matches = type === 'anyone';
+    } else if (isEmail) {
+      matches = email === term;
+    } else {
+      matches = domain === term || email.slice(-(term.length + 1)) === '@' + term;
+    }
+
+    if (matches) {
+      fileIds[record['File ID']] = true;
+      rows.push({
+        fileName: record['File Name'],
+        folderPath: record['Folder Path'],
+        owner: record['Owner'],
+        grantee: getGranteeLabel(record),
+        type: type,
+        role: record['Permission Role'],
+        sharingScope: record['Sharing Scope'],
+        url: record['URL']
+      });
+    }
+  });
+
+  rows.sort(function(a, b) {
+    return ROLE_RANK.indexOf(b.role) - ROLE_RANK.indexOf(a.role) ||
+      String(a.fileName).localeCompare(String(b.fileName));
+  });
+
+  return {
+    success: true,
+    message: rows.length === 0
+      ? 'No access found for "' + term + '" in the last audit.'
+      : '"' + term + '" has ' + rows.length + ' grant(s) on ' + Object.keys(fileIds).length + ' file(s).',
+    rows: rows
+  };
+}
+
+// ============ CHANGE DETECTION ============
+
+/**
+ * Hidden sheet holding a compact copy of the last completed audit, one row
+ * per file/permission pair. Each new audit is compared against it.
+ */
+const SNAPSHOT_SHEET_NAME = 'Audit Snapshot';
+const SNAPSHOT_HEADERS = ['File ID', 'Permission ID', 'File Name', 'Permission Type', 'Permission Role', 'Grantee', 'URL'];
+
+/**
+ * Change types listed in the "Changes" sheet, in display order.
+ */
+const CHANGE_TYPES = ['New file', 'Deleted file', 'Permission added', 'Permission removed', 'Role changed'];
+
+/**
+ * Reduces audit records to snapshot entries, grouped by file:
+ * fileId -> { name, url, error, permissions: { permissionId -> entry } }.
+ * error is set for files whose permissions couldn't be read (see
+ * hasUnreadPermissions). Accepts both getAuditRecords rows and rows read back from
+ * the snapshot sheet (both carry the SNAPSHOT_HEADERS columns, except
+ * "Grantee").
+ */
+function buildAuditSnapshot(records) {
+  const files = {};
+  records.forEach(function(record) {
+    const fileId = record['File ID'];
+    if (!fileId) {
+      return;
+    }
+    if (!files[fileId]) {
+      files[fileId] = { name: record['File Name'], url: record['URL'], error: false, permissions: {} };
+    }
+    if (hasUnreadPermissions(record)) {
+      files[fileId].error = true;
+    }
+    const permissionId = record['Permission ID'];
+    if (permissionId) {
+      files[fileId].permissions[permissionId] = {
+        id: permissionId,
+        type: record['Permission Type'],
+        role: record['Permission Role'],
+        grantee: record['Grantee'] || getGranteeLabel(record)
+      };
+    }
+  });
+  return files;
+}
+
+/**
+ * Reads the previous snapshot, or null if no audit has completed yet.
+ */
+function loadAuditSnapshot(ss) {
+  const sheet = ss.getSheetByName(SNAPSHOT_SHEET_NAME);
+  if (!sheet) {
+    return null;
+  }
+  return buildAuditSnapshot(getAuditRecords(sheet));
+}
+
+/**
+ * Replaces the stored snapshot with the given audit records and records
+ * when and with which scope it was taken. Files whose permissions couldn't
+ * be read keep their entries from the previous snapshot, so the next audit
+ * compares them with what was last known.
+ *
+ * @param {Object} previous - the previous snapshot (buildAuditSnapshot), or
+ *                            null
+ */
+function saveAuditSnapshot(ss, records, scope, previous) {
+  let sheet = ss.getSheetByName(SNAPSHOT_SHEET_NAME);
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = ss.insertSheet(SNAPSHOT_SHEET_NAME);
+    sheet.hideSheet();
+  }
+
+  const rows = [SNAPSHOT_HEADERS];
+  const carried = {};
+  records.forEach(function(record) {
+    const fileId = record['File ID'];
+    const before = previous && previous[fileId];
+    if (hasUnreadPermissions(record) && before) {
+      if (!carried[fileId]) {
+        carried[fileId] = true;
+        Object.keys(before.permissions).forEach(function(permissionId) {
+          const permission = before.permissions[permissionId];
+          rows.push([fileId, permissionId, before.name, permission.type, permission.role, permission.grantee,
+            before.url]);
+        });
+      }
+      return;
+    }
+    rows.push([
+      record['File ID'],
+      record['Permission ID'] || '',
+      record['File Name'],
+      record['Permission Type'],
+      record['Permission Role'],
+      getGranteeLabel(record),
+      record['URL']
+    ]);
+  });
+  sheet.getRange(1, 1, rows.length, SNAPSHOT_HEADERS.length).setValues(rows);
+
+  PropertiesService.getScriptProperties().setProperty('AUDIT_SNAPSHOT_INFO', JSON.stringify({
+    date: new Date().toISOString(),
+    scope: scope
+  }));
+  Logger.log('Saved audit snapshot with ' + (rows.length - 1) + ' entries');
+}
+
+/**
+ * Compares two snapshots (see buildAuditSnapshot).
+ *
+ * New files list their non-owner permissions as "Permission added";
+ * deleted files are listed once, without their permissions. Files whose
+ * permissions couldn't be read are only reported when they are new.
+ *
+ * @return {Object[]} changes: { type, fileId, fileName, url, permissionId,
+ *                     permissionType, grantee, previousRole, currentRole }
+ */
+function diffAuditSnapshots(previous, current) {
+  const changes = [];
+
+  function change(type, fileId, file, permission, previousRole, currentRole) {
+    changes.push({
+      type: type,
+      fileId: fileId,
+      fileName: file.name,
+      url: file.url,
+      permissionId: permission ? permission.id : '',
+      permissionType: permission ? permission.type : '',
+      grantee: permission ? permission.grantee : '',
+      previousRole: previousRole || '',
+      currentRole: currentRole || ''
+    });
+  }
+
+  Object.keys(current).forEach(function(fileId) {
+    const file = current[fileId];
+    const before = previous[fileId];
+
+    if (!before) {
+      change('New file', fileId, file, null);
+    }
+    // Unread permissions aren't removed ones: compare them next time
+    if (file.error) {
+      return;
+    }
+
+    Object.keys(file.permissions).forEach(function(permissionId) {
+      const permission = file.permissions[permissionId];
+      const old = before ? before.permissions[permissionId] : null;
+      if (!old) {
+        if (before || permission.role !== 'owner') {
+          change('Permission added', fileId, file, permission, '', permission.role);
+        }
+      } else if (old.role !== permission.role) {
+        change('Role changed', fileId, file, permission, old.role, permission.role);
+      }
+    });
+
+    if (before) {
+      Object.keys(before.permissions).forEach(function(permissionId) {
+        if (!file.permissions[permissionId]) {
+          const old = before.permissions[permissionId];
+          change('Permission removed', fileId, file, old, old.role, '');
+        }
+      });
+    }
+  });
+
+  Object.keys(previous).forEach(function(fileId) {
+    if (!current[fileId]) {
+      change('Deleted file', fileId, previous[fileId], null);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Writes the "Changes" sheet comparing this audit with the previous
+ * completed one, then stores this audit as the new snapshot.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Object[]}    records - rows from getAuditRecords
+ * @param {string}      scope   - scope of this audit
+ * @return {Object} { counts, unapprovedCounts }: change type -> count, for
+ *                  all changes and for those not on a share approved by an
+ *                  exception; null if there was nothing to compare with
+ */
+function createChangesReport(ss, records, scope) {
+  const scriptProps = PropertiesService.getScriptProperties();
+  const previousInfo = JSON.parse(scriptProps.getProperty('AUDIT_SNAPSHOT_INFO') || 'null');
+  const previous = loadAuditSnapshot(ss);
+
+  let sheet = ss.getSheetByName('Changes');
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = ss.insertSheet('Changes');
+  }
+
+  const headers = ['Change', 'File Name', 'File ID', 'Permission Type', 'Grantee', 'Previous Role', 'Current Role', 'URL'];
+  sheet.getRange(1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  sheet.setFrozenRows(1);
+
+  let result = null;
+
+  if (!previous) {
+    sheet.getRange(2, 1).setValue('No previous audit to compare with. Changes will be listed after the next audit.');
+  } else {
+    const changes = diffAuditSnapshots(previous, buildAuditSnapshot(records));
+    const approved = {};
+    records.forEach(function(record) {
+      if (isApprovedRecord(record)) {
+        approved[record['File ID'] + '/' + record['Permission ID']] = true;
+      }
+    });
+    result = { counts: {}, unapprovedCounts: {} };
+    CHANGE_TYPES.forEach(function(type) {
+      result.counts[type] = 0;
+      result.unapprovedCounts[type] = 0;
+    });
+
+    changes.sort(function(a, b) {
+      return CHANGE_TYPES.indexOf(a.type) - CHANGE_TYPES.indexOf(b.type) ||
+        String(a.fileName).localeCompare(String(b.fileName));
+    });
+
+    const rows = changes.map(function(c) {
+      result.counts[c.type]++;
+      if (!approved[c.fileId + '/' + c.permissionId]) {
+        result.unapprovedCounts[c.type]++;
+      }
+      return [c.type, c.fileName, c.fileId, c.permissionType, c.grantee, c.previousRole, c.currentRole, c.url];
+    });
+
+    let note = 'Compared with the audit of ' +
+      (previousInfo ? new Date(previousInfo.date).toLocaleString() : 'an unknown date') + '.';
+    if (previousInfo && previousInfo.scope !== scope) {
+      note += ' ⚠️ That audit covered ' + previousInfo.scope + ' and this one ' + scope +
+        ', so files outside the narrower scope show up as new or deleted.';
+    }
+
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+      sheet.getRange(1, 1, rows.length + 1, headers.length).createFilter();
+      for (let i = 1; i <= headers.length; i++) {
+        sheet.autoResizeColumn(i);
+      }
+    } else {
+      note = 'No changes. ' + note;
+    }
+    sheet.getRange(rows.length + 3, 1).setValue(note).setFontStyle('italic');
+
+    Logger.log('Changes since last audit: ' + JSON.stringify(result.counts));
+  }
+
+  saveAuditSnapshot(ss, records, scope, previous);
+  return result;
+}
+
+// ============ AUDIT HISTORY ============
+
+/**
+ * Completed audits are archived as JSON files (headers + rows) in a Drive
+ * folder. Archives are tagged with this app property so they can be listed
+ * back without relying on file names.
+ */
+const ARCHIVE_APP_PROPERTY = 'driveAuditArchive';
+const ARCHIVE_FOLDER_NAME = 'Drive Audit Archive';
+const DEFAULT_ARCHIVE_RETENTION_COUNT = 10;
+
+/**
+ * Archive settings from the document properties:
+ * folderId      - Drive folder for archives ('' until the first archive
+ *                 creates one)
+ * retentionCount - how many archives to keep (0 = no limit)
+ * retentionDays  - delete archives older than this (0 = no limit)
+ */
+function getArchiveSettings() {
+  const docProps = PropertiesService.getDocumentProperties();
+  const count = docProps.getProperty('ARCHIVE_RETENTION_COUNT');
+  return {
+    folderId: docProps.getProperty('ARCHIVE_FOLDER_ID') || '',
+    retentionCount: count === null ? DEFAULT_ARCHIVE_RETENTION_COUNT : parseInt(count, 10) || 0,
+    retentionDays: parseInt(docProps.getProperty('ARCHIVE_RETENTION_DAYS') || '0', 10) || 0
+  };
+}
+
+/**
+ * Returns the archive folder id, creating a "Drive Audit Archive" folder in
+ * My Drive if none is configured or the configured one is gone.
+ */
+function getArchiveFolderId() {
+  return getSettingsFolderId('ARCHIVE_FOLDER_ID', ARCHIVE_FOLDER_NAME);
+}
+
+/**
+ * Whether an id belongs to a Drive folder the user can access that isn't in
+ * the trash. Used to check folder URLs pasted into the settings prompts.
+ */
+function isUsableDriveFolder(folderId) {
+  try {
+    const file = Drive.Files.get(folderId, { fields: 'mimeType, trashed', supportsAllDrives: true });
+    return file.mimeType === FOLDER_MIME_TYPE && !file.trashed;
+  } catch (error) {
+    Logger.log('WARNING: ' + folderId + ' is not accessible: ' + error.toString());
+    return false;
+  }
+}
+
+/**
+ * Returns the id of the folder configured in a document property, creating
+ * a folder with the given name in My Drive (and saving its id) if none is
+ * configured or the configured one is gone.
+ */
+function getSettingsFolderId(property, folderName) {
+  const docProps = PropertiesService.getDocumentProperties();
+  const folderId = docProps.getProperty(property);
+
+  if (folderId) {
+    try {
+      const folder = Drive.Files.get(folderId, { fields: 'id, mimeType, trashed', supportsAllDrives: true });
+      if (folder.mimeType !== FOLDER_MIME_TYPE) {
+        Logger.log('WARNING: ' + folderId + ' (' + property + ') is not a folder; creating a new one');
+      } else if (!folder.trashed) {
+        return folder.id;
+      } else {
+        Logger.log('Folder ' + folderId + ' (' + property + ') is in the trash; creating a new one');
+      }
+    } catch (error) {
+      Logger.log('WARNING: folder ' + folderId + ' (' + property + ') is not accessible: ' + error.toString());
+    }
+  }
+
+  const folder = Drive.Files.create({
+    name: folderName,
+    mimeType: FOLDER_MIME_TYPE
+  }, null, { fields: 'id' });
+  docProps.setProperty(property, folder.id);
+  Logger.log('Created folder "' + folderName + '" (' + folder.id + ')');
+  return folder.id;
+}
+
+/**
+ * Writes the results of a completed audit to a dated JSON file in the
+ * archive folder, then prunes archives beyond the retention policy.
+ *
+ * @param {Object[]} records    - rows from getAuditRecords
+ * @param {Object}   auditState - the finished audit's AUDIT_STATE
+ */
+function archiveAuditRun(records, auditState) {
+  const now = new Date();
+  const archive = {
+    version: 1,
+    auditDate: now.toISOString(),
+    startTime: auditState.startTime,
+    scope: auditState.scope,
+    scopeLabel: auditState.scopeLabel,
+    filesAudited: auditState.filesProcessed,
+    permissionEntries: auditState.auditDataCount,
+    headers: AUDIT_HEADERS,
+    rows: records.map(function(record) {
+      return AUDIT_HEADERS.map(function(header) {
+        return record[header] === undefined ? '' : record[header];
+      });
+    })
+  };
+
+  const name = 'Drive Audit ' +
+    Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd HHmm') + '.json';
+  const blob = Utilities.newBlob(JSON.stringify(archive), 'application/json', name);
+
+  const appProperties = {};
+  appProperties[ARCHIVE_APP_PROPERTY] = 'true';
+  appProperties.scope = auditState.scope;
+  appProperties.filesAudited = String(auditState.filesProcessed);
+  appProperties.permissionEntries = String(auditState.auditDataCount);
+
+  const file = Drive.Files.create({
+    name: name,
+    mimeType: 'application/json',
+    parents: [getArchiveFolderId()],
+    appProperties: appProperties
+  }, blob, { fields: 'id', supportsAllDrives: true });
+  Logger.log('Archived audit as ' + name + ' (' + file.id + ')');
+
+  pruneAuditArchives();
+}
+
+/**
+ * Lists archived audits in the archive folder, newest first.
+ *
+ * @return {Object[]} { id, name, date, scope, filesAudited,
+ *                     permissionEntries, url }
+ */
+function listAuditArchives() {
+  const folderId = getArchiveSettings().folderId;
+  if (!folderId) {
+    return [];
+  }
+
+  const archives = [];
+  let pageToken = null;
+  do {
+    const response = Drive.Files.list({
+      q: "'" + folderId + "' in parents and trashed = false and " +
+         "appProperties has { key='" + ARCHIVE_APP_PROPERTY + "' and value='true' }",
+      fields: 'nextPageToken, files(id, name, createdTime, webViewLink, appProperties)',
+      orderBy: 'createdTime desc',
+      pageSize: 100,
+      pageToken: pageToken,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true
+    });
+
+    (response.files || []).forEach(function(file) {
+      const props = file.appProperties || {};
+      archives.push({
+        id: file.id,
+        name: file.name,
+        date: file.createdTime,
+        scope: props.scope || '',
+        filesAudited: props.filesAudited || '',
+        permissionEntries: props.permissionEntries || '',
+        url: file.webViewLink || ''
+      });
+    });
+    pageToken = response.nextPageToken;
+  } while (pageToken);
+
+  return archives;
+}
+
+/**
+ * Moves archives beyond the retention count, or older than the retention
+ * age, to the trash.
+ */
+function pruneAuditArchives() {
+  const settings = getArchiveSettings();
+  const cutoff = settings.retentionDays > 0
+    ? new Date().getTime() - settings.retentionDays * 24 * 60 * 60 * 1000
+    : 0;
+
+  let pruned = 0;
+  listAuditArchives().forEach(function(archive, index) {
+    const tooMany = settings.retentionCount > 0 && index >= settings.retentionCount;
+    const tooOld = cutoff > 0 && new Date(archive.date).getTime() < cutoff;
+    if (tooMany || tooOld) {
+      Drive.Files.update({ trashed: true }, archive.id, null, { supportsAllDrives: true });
+      pruned++;
+    }
+  });
+
+  if (pruned > 0) {
+    Logger.log('Moved ' + pruned + ' old audit archive(s) to the trash');
+  }
+}
+
+/**
+ * Menu entry point: lists archived audits with options to open or restore.
+ */
+function showAuditHistory() {
+  const template = HtmlService.createTemplateFromFile('AuditHistoryDialog');
+  template.auditSheetName = getOutputSheetName('audit');
+  try {
+    template.archives = listAuditArchives();
+    template.error = '';
+  } catch (error) {
+    Logger.log('ERROR listing audit archives: ' + error.toString());
+    template.archives = [];
+    template.error = error.toString();
+  }
+
+  SpreadsheetApp.getUi().showModalDialog(
+    template.evaluate().setWidth(560).setHeight(420),
+    'Audit History');
+}
+
+/**
+ * Called from the audit history dialog: replaces the "Drive Audit" sheet
+ * with an archived audit. Refused while an audit is running, since the
+ * running audit writes to the same sheet.
+ */
+function restoreAuditArchive(fileId) {
+  if (PropertiesService.getScriptProperties().getProperty('AUDIT_STATE')) {
+    return {
+      success: false,
+      message: 'An audit is currently running or waiting to be resumed. Wait for it to finish, or resume or cancel it first.'
+    };
+  }
+
+  const media = Drive.Files.get(fileId, { alt: 'media', supportsAllDrives: true });
+  const content = typeof media === 'string' ? media : media.getDataAsString();
+  const archive = JSON.parse(content);
+  const dateColumns = [];
+  archive.headers.forEach(function(header, i) {
+    if (/ (Date|Time)$/.test(header)) {
+      dateColumns.push(i);
+    }
+  });
+
+  const rows = archive.rows.map(function(row) {
+    dateColumns.forEach(function(i) {
+      if (row[i]) {
+        row[i] = new Date(row[i]);
+      }
+    });
+    return row;
+  });
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let auditSheet = ss.getSheetByName(getOutputSheetName('audit'));
+  if (auditSheet) {
+    if (auditSheet.getFilter()) {
+      auditSheet.getFilter().remove();
+    }
+    auditSheet.getDataRange().clearDataValidations();
+    auditSheet.clear();
+  } else {
+    auditSheet = ss.insertSheet(getOutputSheetName('audit'));
+  }
+
+  const width = archive.headers.length;
+  auditSheet.getRange(1, 1, 1, width)
+    .setValues([archive.headers])
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  auditSheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    auditSheet.getRange(2, 1, rows.length, width).setValues(rows);
+    formatAuditSheet(auditSheet);
+  }
+
+  const auditDate = new Date(archive.auditDate).toLocaleString();
+  updateAuditStatus('COMPLETED',
+    'Showing the archived audit of ' + auditDate + ' (scope: ' + (archive.scopeLabel || archive.scope) + ', ' +
+    'files audited: ' + archive.filesAudited + '). Run a new audit to see current results.',
+    0, 0);
+
+  // The restored rows are older than the last change token
+  PropertiesService.getScriptProperties().deleteProperty('INCREMENTAL_BASE');
+  PropertiesService.getScriptProperties().setProperty('LAST_AUDIT_TIME', archive.auditDate);
+
+  ss.setActiveSheet(auditSheet);
+  Logger.log('Restored archived audit ' + fileId + ' from ' + archive.auditDate);
+  return { success: true, message: 'Restored the audit of ' + auditDate + ' into "' + getOutputSheetName('audit') + '".' };
+}
+
+/**
+ * Menu entry point: prompts for the archive folder and retention policy.
+ */
+function configureAuditArchive() {
+  const ui = SpreadsheetApp.getUi();
+  const docProps = PropertiesService.getDocumentProperties();
+  const settings = getArchiveSettings();
+
+  const folderResult = ui.prompt(
+    'Audit History Archive (1/2)',
+    'Each completed audit is saved as a JSON file in a Drive folder.\n\n' +
+    'Paste a folder URL or ID to use, or leave empty to keep the current folder' +
+    (settings.folderId ? ' (' + settings.folderId + ')' : ' (a "' + ARCHIVE_FOLDER_NAME + '" folder is created automatically)') +
+    '.',
+    ui.ButtonSet.OK_CANCEL);
+  if (folderResult.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const folderText = folderResult.getResponseText().trim();
+  if (folderText) {
+    const folderId = parseDriveId(folderText);
+    if (!folderId) {
+      ui.alert('Invalid Folder', 'That doesn\'t look like a Drive folder URL or ID.', ui.ButtonSet.OK);
+      return;
+    }
+    if (!isUsableDriveFolder(folderId)) {
+      ui.alert('Invalid Folder', 'That isn\'t a folder you can access. Paste the URL or ID of a Drive folder, not a file.',
+        ui.ButtonSet.OK);
+      return;
+    }
+    docProps.setProperty('ARCHIVE_FOLDER_ID', folderId);
+  }
+
+  const retentionResult = ui.prompt(
+    'Audit History Archive (2/2)',
+    'How many archived audits to keep, and for how many days?\n\n' +
+    'Enter "count, days" - e.g. "10, 365" keeps the 10 most recent audits from the last year. ' +
+    'Use 0 for no limit.\n\n' +
+    'Current: ' + settings.retentionCount + ', ' + settings.retentionDays,
+    ui.ButtonSet.OK_CANCEL);
+  if (retentionResult.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const retentionText = retentionResult.getResponseText().trim();
+  if (retentionText) {
+    const parts = retentionText.split(/[\s,]+/);
+    const count = parseInt(parts[0], 10);
+    const days = parts.length > 1 ? parseInt(parts[1], 10) : settings.retentionDays;
+    if (isNaN(count) || count < 0 || isNaN(days) || days < 0) {
+      ui.alert('Invalid Retention', 'Enter two non-negative numbers, e.g. "10, 365".', ui.ButtonSet.OK);
+      return;
+    }
+    docProps.setProperty('ARCHIVE_RETENTION_COUNT', String(count));
+    docProps.setProperty('ARCHIVE_RETENTION_DAYS', String(days));
+  }
+
+  const updated = getArchiveSettings();
+  ui.alert('Audit History Archive',
+    '✅ Saved.\n\n' +
+    'Folder: ' + (updated.folderId || '(created with the next archive)') + '\n' +
+    'Keep: ' + (updated.retentionCount || 'all') + ' audits, ' +
+    (updated.retentionDays ? 'up to ' + updated.retentionDays + ' days old' : 'of any age') + '\n\n' +
+    'The retention policy applies after the next audit.',
+    ui.ButtonSet.OK);
+}
+
+// ============ EXPORTS ============
+
+/**
+ * Audit rows can be exported as CSV, JSON or NDJSON files to a Drive
+ * folder, for loading into other tools. Columns use the fixed snake_case
+ * keys below, whatever the sheet's headers, and timestamps are ISO 8601
+ * (UTC). Add new keys at the end and bump EXPORT_SCHEMA_VERSION when a
+ * key changes meaning.
+ */
+const EXPORT_SCHEMA_VERSION = 1;
+const EXPORT_FOLDER_NAME = 'Drive Audit Exports';
+const EXPORT_COLUMNS = [
+  { key: 'file_id', header: 'File ID' },
+  { key: 'file_name', header: 'File Name' },
+  { key: 'folder_path', header: 'Folder Path' },
+  { key: 'owner', header: 'Owner' },
+  { key: 'type', header: 'Type' },
+  { key: 'mime_type', header: 'MIME Type' },
+  { key: 'created_time', header: 'Created Date', date: true },
+  { key: 'modified_time', header: 'Modified Date', date: true },
+  { key: 'size_bytes', header: 'Size (bytes)', number: true },
+  { key: 'url', header: 'URL' },
+  { key: 'permissions_count', header: 'Permissions Count', number: true },
+  { key: 'permission_id', header: 'Permission ID' },
+  { key: 'permission_type', header: 'Permission Type' },
+  { key: 'permission_role', header: 'Permission Role' },
+  { key: 'permission_email', header: 'Permission Email' },
+  { key: 'permission_domain', header: 'Permission Domain' },
+  { key: 'permission_display_name', header: 'Permission Display Name' },
+  { key: 'sharing_scope', header: 'Sharing Scope' },
+  { key: 'expiration_time', header: 'Expiration Time', date: true },
+  { key: 'discoverable', header: 'Discoverable' },
+  { key: 'pending_owner', header: 'Pending Owner' },
+  { key: 'deleted_account', header: 'Deleted Account' },
+  { key: 'permission_details', header: 'Permission Details' },
+  { key: 'folder_drift', header: 'Folder Drift' },
+  { key: 'audit_error', header: 'Audit Error' },
+  { key: 'exception', header: 'Exception' }
+];
+
+/**
+ * Export formats: file extension and MIME type.
+ */
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' }
+};
+
+/**
+ * Export settings from the document properties:
+ * folderId - Drive folder for exports ('' until the first export creates one)
+ * formats  - keys of EXPORT_FORMATS to write
+ * auto     - whether every completed audit is exported
+ */
+function getExportSettings() {
+  const docProps = PropertiesService.getDocumentProperties();
+  const formats = (docProps.getProperty('EXPORT_FORMATS') || 'csv').split(',').filter(function(format) {
+    return EXPORT_FORMATS[format];
+  });
+  return {
+    folderId: docProps.getProperty('EXPORT_FOLDER_ID') || '',
+    formats: formats.length > 0 ? formats : ['csv'],
+    auto: docProps.getProperty('EXPORT_AUTO') === 'true'
+  };
+}
+
+/**
+ * Parses a comma or space separated list of export formats. Returns null
+ * if any of them is unknown.
+ */
+function parseExportFormats(text) {
+  const formats = String(text).toLowerCase().split(/[\s,]+/).filter(String);
+  const unknown = formats.filter(function(format) {
+    return !EXPORT_FORMATS[format];
+  });
+  return unknown.length > 0 || formats.length === 0 ? null : formats;
+}
+
+/**
+ * Converts an audit row to an object with the EXPORT_COLUMNS keys. Empty
+ * cells become null, dates ISO strings, sizes and counts numbers.
+ *
+ * @param {Object} record    - row from getAuditRecords
+ * @param {string} auditTime - ISO time of the audit, repeated on every row
+ *                             so exports of several runs can be combined
+ */
+function toExportRow(record, auditTime) {
+  const row = { schema_version: EXPORT_SCHEMA_VERSION, audit_time: auditTime };
+  EXPORT_COLUMNS.forEach(function(column) {
+    let value = record[column.header];
+    if (value === undefined || value === null || value === '') {
+      value = null;
+    } else if (column.date) {
+      const date = value instanceof Date ? value : new Date(value);
+      value = isNaN(date.getTime()) ? String(value) : date.toISOString();
+    } else if (column.number) {
+      value = Number(value);
+    } else {
+      value = String(value);
+    }
+    row[column.key] = value;
+  });
+  return row;
+}
+
+/**
+ * Quotes a CSV field when needed (RFC 4180). Text starting with a formula
+ * character gets a leading apostrophe, so that a file or grantee name like
+ * "=HYPERLINK(...)" isn't run as a formula when the CSV is opened in a
+ * spreadsheet.
+ */
+function toCsvField(value) {
+  if (value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Serializes export rows in one of the EXPORT_FORMATS.
+ *
+ * @param {Object[]} rows   - see toExportRow
+ * @param {string}   format - key of EXPORT_FORMATS
+ * @param {Object}   meta   - { auditTime, scopeLabel }, written to the
+ *                            JSON envelope
+ */
+function serializeExport(rows, format, meta) {
+  const keys = ['schema_version', 'audit_time'].concat(EXPORT_COLUMNS.map(function(column) {
+    return column.key;
+  }));
+
+  if (format === 'csv') {
+    const lines = [keys.join(',')];
+    rows.forEach(function(row) {
+      lines.push(keys.map(function(key) {
+        return toCsvField(row[key]);
+      }).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  if (format === 'ndjson') {
+    return rows.map(function(row) {
+      return JSON.stringify(row);
+    }).join('\n') + (rows.length > 0 ? '\n' : '');
+  }
+
+  return JSON.stringify({
+    schema_version: EXPORT_SCHEMA_VERSION,
+    audit_time: meta.auditTime,
+    scope_label: meta.scopeLabel,
+    columns: keys,
+    rows: rows
+  });
+}
+
+/**
+ * Writes the audit rows to one new file per format in the export folder.
+ *
+ * @param {Object[]} records - rows from getAuditRecords
+ * @param {string[]} formats - keys of EXPORT_FORMATS
+ * @param {Object}   meta    - { auditTime, scopeLabel }
+ * @return {Object[]} { format, name, url } per written file
+ */
+function exportAuditRecords(records, formats, meta) {
+  const rows = records.map(function(record) {
+    return toExportRow(record, meta.auditTime);
+  });
+  const folderId = getSettingsFolderId('EXPORT_FOLDER_ID', EXPORT_FOLDER_NAME);
+  const baseName = 'Drive Audit Export ' +
+    Utilities.formatDate(new Date(meta.auditTime), Session.getScriptTimeZone(), 'yyyy-MM-dd HHmm');
+
+  return formats.map(function(format) {
+    const definition = EXPORT_FORMATS[format];
+    const name = baseName + '.' + definition.extension;
+    const blob = Utilities.newBlob(serializeExport(rows, format, meta), definition.mimeType, name);
+    const file = Drive.Files.create({
+      name: name,
+      mimeType: definition.mimeType,
+      parents: [folderId]
+    }, blob, { fields: 'id, webViewLink', supportsAllDrives: true });
+    Logger.log('Exported ' + rows.length + ' rows as ' + name + ' (' + file.id + ')');
+    return { format: format, name: name, url: file.webViewLink || '' };
+  });
+}
+
+/**
+ * Menu entry point: exports the rows of the "Drive Audit" sheet now.
+ */
+function exportAuditResults() {
+  const ui = SpreadsheetApp.getUi();
+  const auditSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(getOutputSheetName('audit'));
+  if (!auditSheet || auditSheet.getLastRow() < 2) {
+    ui.alert('Nothing to Export', 'Run an audit first: the "' + getOutputSheetName('audit') + '" sheet is empty.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const settings = getExportSettings();
+  const result = ui.prompt(
+    'Export Results',
+    'Formats to export (csv, json, ndjson), separated by commas.\n\n' +
+    'Leave empty for the default: ' + settings.formats.join(', '),
+    ui.ButtonSet.OK_CANCEL);
+  if (result.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const text = result.getResponseText().trim();
+  const formats = text ? parseExportFormats(text) : settings.formats;
+  if (!formats) {
+    ui.alert('Invalid Format', 'Use csv, json and/or ndjson.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const scriptProps = PropertiesService.getScriptProperties();
+  try {
+    const files = exportAuditRecords(getAuditRecords(auditSheet), formats, {
+      auditTime: scriptProps.getProperty('LAST_AUDIT_TIME') || new Date().toISOString(),
+      scopeLabel: scriptProps.getProperty('AUDIT_SCOPE_LABEL') || ''
+    });
+    ui.alert('Export Results',
+      '✅ Exported ' + (auditSheet.getLastRow() - 1) + ' rows to:\n\n' +
+      files.map(function(file) {
+        return file.name + '\n' + file.url;
+      }).join('\n\n'),
+      ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log('ERROR exporting results: ' + error.toString());
+    ui.alert('Export Failed', 'Could not export the results:\n' + error.toString(), ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu entry point: prompts for the export folder, formats and whether to
+ * export every completed audit automatically.
+ */
+function configureExports() {
+  const ui = SpreadsheetApp.getUi();
+  const docProps = PropertiesService.getDocumentProperties();
+  const settings = getExportSettings();
+
+  const folderResult = ui.prompt(
+    'Exports (1/3)',
+    'Exports are written as new files to a Drive folder, one per format and audit.\n\n' +
+    'Paste a folder URL or ID to use, or leave empty to keep the current folder' +
+    (settings.folderId ? ' (' + settings.folderId + ')' : ' (a "' + EXPORT_FOLDER_NAME + '" folder is created automatically)') +
+    '.',
+    ui.ButtonSet.OK_CANCEL);
+  if (folderResult.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const folderText = folderResult.getResponseText().trim();
+  if (folderText) {
+    const folderId = parseDriveId(folderText);
+    if (!folderId) {
+      ui.alert('Invalid Folder', 'That doesn\'t look like a Drive folder URL or ID.', ui.ButtonSet.OK);
+      return;
+    }
+    if (!isUsableDriveFolder(folderId)) {
+      ui.alert('Invalid Folder', 'That isn\'t a folder you can access. Paste the URL or ID of a Drive folder, not a file.',
+        ui.ButtonSet.OK);
+      return;
+    }
+    docProps.setProperty('EXPORT_FOLDER_ID', folderId);
+  }
+
+  const formatResult = ui.prompt(
+    'Exports (2/3)',
+    'Formats to write (csv, json, ndjson), separated by commas.\n\n' +
+    'Current: ' + settings.formats.join(', '),
+    ui.ButtonSet.OK_CANCEL);
+  if (formatResult.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const formatText = formatResult.getResponseText().trim();
+  if (formatText) {
+    const formats = parseExportFormats(formatText);
+    if (!formats) {
+      ui.alert('Invalid Format', 'Use csv, json and/or ndjson.', ui.ButtonSet.OK);
+      return;
+    }
+    docProps.setProperty('EXPORT_FORMATS', formats.join(','));
+  }
+
+  const autoResult = ui.alert(
+    'Exports (3/3)',
+    'Export the results automatically after every completed audit?\n\n' +
+    'Currently: ' + (settings.auto ? 'on' : 'off'),
+    ui.ButtonSet.YES_NO);
+  docProps.setProperty('EXPORT_AUTO', autoResult === ui.Button.YES ? 'true' : 'false');
+
+  const updated = getExportSettings();
+  ui.alert('Exports Saved',
+    'Formats: ' + updated.formats.join(', ') + '\n' +
+    'Automatic export: ' + (updated.auto ? 'on' : 'off') + '\n' +
+    'Folder: ' + (updated.folderId || 'created with the first export'),
+    ui.ButtonSet.OK);
+}
+
+// ============ EMAIL DIGEST ============
+
+/**
+ * Number of top risk findings listed in the email digest.
+ */
+const DIGEST_TOP_FINDINGS = 10;
+
+/**
+ * Email digest settings from the document properties:
+ * recipients - email addresses (an empty list disables the digest)
+ * onSuccess  - also send when an audit completes (errors are always sent)
+ */
+function getDigestSettings() {
+  const docProps = PropertiesService.getDocumentProperties();
+  return {
+    recipients: parseEmailList(docProps.getProperty('DIGEST_RECIPIENTS')),
+    onSuccess: docProps.getProperty('DIGEST_ON_SUCCESS') !== 'false'
+  };
+}
+
+/**
+ * Splits a comma/space separated list of email addresses. Anything that
+ * doesn't look like an address is dropped.
+ */
+function parseEmailList(text) {
+  const emails = [];
+  String(text || '').split(/[\s,;]+/).forEach(function(part) {
+    const email = part.trim().toLowerCase();
+    if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email) && emails.indexOf(email) === -1) {
+      emails.push(email);
+    }
+  });
+  return emails;
+}
+
+/**
+ * Emails the HTML audit digest to the configured recipients. Never throws:
+ * a failed digest must not turn a completed audit into an error.
+ *
+ * @param {string} status - 'COMPLETED' | 'ERROR'
+ * @param {Object} result - audit totals; for COMPLETED also the breakdowns
+ *                          and ranked findings, for ERROR the error message
+ */
+function sendAuditDigest(status, result) {
+  try {
+    const settings = getDigestSettings();
+    if (settings.recipients.length === 0) {
+      return;
+    }
+    if (status === 'COMPLETED' && !settings.onSuccess) {
+      Logger.log('Email digest skipped: only sent for errors');
+      return;
+    }
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const template = HtmlService.createTemplateFromFile('DigestEmail');
+    template.status = status;
+    template.result = result;
+    template.spreadsheetUrl = ss.getUrl();
+    template.spreadsheetName = ss.getName();
+    template.severities = RISK_SEVERITY_THRESHOLDS;
+    template.sharingScopes = Object.keys(SHARING_SCOPES).map(function(key) { return SHARING_SCOPES[key]; });
+    template.changeTypes = CHANGE_TYPES;
+    template.topFindings = (result.findings || []).slice(0, DIGEST_TOP_FINDINGS).map(function(finding) {
+      return {
+        severity: finding.severity,
+        score: finding.score,
+        fileName: finding.record['File Name'],
+        url: finding.record['URL'],
+        grantee: getGranteeLabel(finding.record),
+        role: finding.record['Permission Role'],
+        reasons: finding.reasons.join('; ')
+      };
+    });
+
+    const subject = status === 'COMPLETED'
+      ? 'Drive Audit completed: ' + result.filesAudited + ' files, ' +
+        ((result.riskCounts && (result.riskCounts.Critical + result.riskCounts.High)) || 0) +
+        ' critical/high findings'
+      : 'Drive Audit failed: ' + result.error;
+
+    MailApp.sendEmail({
+      to: settings.recipients.join(','),
+      subject: subject,
+      htmlBody: template.evaluate().getContent(),
+      name: 'Drive Audit'
+    });
+    Logger.log('Email digest sent to ' + settings.recipients.join(', '));
+  } catch (error) {
+    Logger.log('WARNING: could not send email digest: ' + error.toString());
+  }
+}
+
+/**
+ * Menu entry point: prompts for the digest recipients and when to send.
+ */
+function configureEmailDigest() {
+  const ui = SpreadsheetApp.getUi();
+  const docProps = PropertiesService.getDocumentProperties();
+  const settings = getDigestSettings();
+
+  const result = ui.prompt(
+    'Email Digest',
+    'Enter the email addresses that should receive the audit digest, separated by commas.\n\n' +
+    'Current: ' + (settings.recipients.join(', ') || '(none - digest disabled)') + '\n\n' +
+    'Leave empty to disable the digest.',
+    ui.ButtonSet.OK_CANCEL);
+  if (result.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const recipients = parseEmailList(result.getResponseText());
+  if (recipients.length === 0) {
+    docProps.deleteProperty('DIGEST_RECIPIENTS');
+    ui.alert('Email Digest', 'The email digest is disabled.', ui.ButtonSet.OK);
+    return;
+  }
+  docProps.setProperty('DIGEST_RECIPIENTS', recipients.join(','));
+
+  const onSuccess = ui.alert(
+    'Email Digest',
+    'Send a digest every time an audit completes?\n\n' +
+    'Yes: after every completed or failed audit\n' +
+    'No: only when an audit fails',
+    ui.ButtonSet.YES_NO);
+  docProps.setProperty('DIGEST_ON_SUCCESS', String(onSuccess === ui.Button.YES));
+
+  ui.alert('Email Digest',
+    '✅ The digest will be sent to: ' + recipients.join(', ') + '\n\n' +
+    (onSuccess === ui.Button.YES ? 'Sent after every completed or failed audit.' : 'Sent only when an audit fails.'),
+    ui.ButtonSet.OK);
+}
+
+// ============ WEBHOOKS ============
+
+/**
+ * Delivery attempts per webhook URL, and the delay before the first retry
+ * (doubled for each further retry).
+ */
+const WEBHOOK_MAX_ATTEMPTS = 3;
+const WEBHOOK_RETRY_DELAY_MS = 1000;
+
+/**
+ * Severities included in the completion payload's findings list, and the
+ * most findings sent (the payload says when the list was truncated).
+ */
+const WEBHOOK_FINDING_SEVERITIES = ['Critical', 'High'];
+const WEBHOOK_MAX_FINDINGS = 500;
+
+/**
+ * Webhook settings from the document properties:
+ * urls   - endpoints that receive every audit event
+ * secret - shared secret for the X-Drive-Audit-Signature header ('' = unsigned)
+ */
+function getWebhookSettings() {
+  const docProps = PropertiesService.getDocumentProperties();
+  return {
+    urls: parseUrlList(docProps.getProperty('WEBHOOK_URLS')),
+    secret: docProps.getProperty('WEBHOOK_SECRET') || ''
+  };
+}
+
+/**
+ * Splits a comma/space/newline separated list of URLs, keeping only https
+ * URLs.
+ */
+function parseUrlList(text) {
+  const urls = [];
+  String(text || '').split(/[\s,]+/).forEach(function(part) {
+    const url = part.trim();
+    if (/^https:\/\/\S+$/i.test(url) && urls.indexOf(url) === -1) {
+      urls.push(url);
+    }
+  });
+  return urls;
+}
+
+/**
+ * Builds the JSON payload for an audit event.
+ *
+ * @param {string} event  - 'audit.started' | 'audit.completed' |
+ *                          'audit.failed' | 'audit.cancelled'
+ * @param {Object} result - audit details; see sendAuditDigest
+ */
+function buildWebhookPayload(event, result) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const payload = {
+    event: event,
+    timestamp: new Date().toISOString(),
+    spreadsheet: { id: ss.getId(), name: ss.getName(), url: ss.getUrl() },
+    audit: {
+      scope: result.scope,
+      scopeLabel: result.scopeLabel || '',
+      startTime: result.startTime || null
+    }
+  };
+
+  if (event === 'audit.failed') {
+    payload.audit.filesAudited = result.filesAudited;
+    payload.audit.resumable = !!result.resumable;
+    payload.error = result.error;
+  } else if (event === 'audit.cancelled') {
+    payload.audit.filesAudited = result.filesAudited;
+  } else if (event === 'audit.completed') {
+    payload.audit.endTime = result.endTime;
+    payload.audit.durationSeconds = result.durationSeconds;
+    payload.summary = {
+      filesAudited: result.filesAudited,
+      permissionEntries: result.permissionEntries,
+      sharingScopes: result.sharingScopeCounts,
+      riskFindings: result.riskCounts,
+      changes: result.changeCounts
+    };
+
+    const highRisk = result.findings.filter(function(finding) {
+      return WEBHOOK_FINDING_SEVERITIES.indexOf(finding.severity) !== -1;
+    });
+    payload.findings = highRisk.slice(0, WEBHOOK_MAX_FINDINGS).map(function(finding) {
+      const record = finding.record;
+      return {
+        severity: finding.severity,
+        score: finding.score,
+        reasons: finding.reasons,
+        fileId: record['File ID'],
+        fileName: record['File Name'],
+        url: record['URL'],
+        owner: record['Owner'],
+        permissionId: record['Permission ID'],
+        permissionType: record['Permission Type'],
+        role: record['Permission Role'],
+        grantee: getGranteeLabel(record),
+        sharingScope: record['Sharing Scope']
+      };
+    });
+    payload.findingsTruncated = highRisk.length > WEBHOOK_MAX_FINDINGS;
+  }
+
+  return payload;
+}
+
+/**
+ * POSTs an audit event to every configured webhook URL. When a secret is
+ * configured the body is signed with HMAC-SHA256 and sent as
+ * "X-Drive-Audit-Signature: sha256=<hex>". Network errors, 429 and 5xx
+ * responses are retried with exponential backoff; failures are logged.
+ * Never throws.
+ */
+function notifyWebhooks(event, result) {
+  try {
+    const settings = getWebhookSettings();
+    if (settings.urls.length === 0) {
+      return;
+    }
+
+    const body = JSON.stringify(buildWebhookPayload(event, result));
+    const headers = { 'X-Drive-Audit-Event': event };
+    if (settings.secret) {
+      const signature = Utilities.computeHmacSha256Signature(body, settings.secret);
+      headers['X-Drive-Audit-Signature'] = 'sha256=' + signature.map(function(b) {
+        return ('0' + (b & 0xff).toString(16)).slice(-2);
+      }).join('');
+    }
+
+    settings.urls.forEach(function(url) {
+      deliverWebhook(url, body, headers);
+    });
+  } catch (error) {
+    Logger.log('WARNING: could not send webhooks for ' + event + ': ' + error.toString());
+  }
+}
+
+/**
+ * Delivers one webhook request, retrying transient failures.
+ *
+ * @return {boolean} whether the endpoint accepted the request (2xx)
+ */
+function deliverWebhook(url, body, headers) {
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    let retryable = true;
+    try {
+      const response = UrlFetchApp.fetch(url, {
+        method: 'post',
+        contentType: 'application/json',
+        payload: body,
+        headers: headers,
+        muteHttpExceptions: true
+      });
+      const code = response.getResponseCode();
+      if (code >= 200 && code < 300) {
+        Logger.log('Webhook ' + headers['X-Drive-Audit-Event'] + ' delivered to ' + url);
+        return true;
+      }
+      retryable = code === 429 || code >= 500;
+      Logger.log('WARNING: webhook ' + url + ' responded ' + code + ' (attempt ' + attempt + '/' +
+        WEBHOOK_MAX_ATTEMPTS + '): ' + response.getContentText().substring(0, 200));
+    } catch (error) {
+      Logger.log('WARNING: webhook ' + url + ' failed (attempt ' + attempt + '/' +
+        WEBHOOK_MAX_ATTEMPTS + '): ' + error.toString());
+    }
+
+    if (!retryable) {
+      break;
+    }
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      Utilities.sleep(WEBHOOK_RETRY_DELAY_MS * Math.pow(2, attempt - 1));
+    }
+  }
+
+  Logger.log('ERROR: giving up on webhook ' + url + ' for ' + headers['X-Drive-Audit-Event']);
+  return false;
+}
+
+/**
+ * Menu entry point: prompts for the webhook URLs and the signing secret.
+ */
+function configureWebhooks() {
+  const ui = SpreadsheetApp.getUi();
+  const docProps = PropertiesService.getDocumentProperties();
+  const settings = getWebhookSettings();
+
+  const urlResult = ui.prompt(
+    'Webhooks (1/2)',
+    'Enter the https URLs that should receive audit events (started, completed, failed, cancelled), ' +
+    'separated by commas.\n\n' +
+    'Current: ' + (settings.urls.join(', ') || '(none)') + '\n\n' +
+    'Leave empty to disable webhooks.',
+    ui.ButtonSet.OK_CANCEL);
+  if (urlResult.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const urls = parseUrlList(urlResult.getResponseText());
+  if (urls.length === 0) {
+    docProps.deleteProperty('WEBHOOK_URLS');
+    ui.alert('Webhooks', 'Webhooks are disabled.', ui.ButtonSet.OK);
+    return;
+  }
+  docProps.setProperty('WEBHOOK_URLS', urls.join(','));
+
+  const secretResult = ui.prompt(
+    'Webhooks (2/2)',
+    'Optional: enter a shared secret to sign each request with HMAC-SHA256 ' +
+    '(X-Drive-Audit-Signature header).\n\n' +
+    'A secret is currently ' + (settings.secret ? 'set' : 'not set') + '. ' +
+    'Leave empty to send unsigned requests.',
+    ui.ButtonSet.OK_CANCEL);
+  if (secretResult.getSelectedButton() === ui.Button.OK) {
+    const secret = secretResult.getResponseText().trim();
+    if (secret) {
+      docProps.setProperty('WEBHOOK_SECRET', secret);
+    } else {
+      docProps.deleteProperty('WEBHOOK_SECRET');
+    }
+  }
+
+  ui.alert('Webhooks',
+    '✅ Audit events will be sent to:\n' + urls.join('\n') + '\n\n' +
+    'Signed: ' + (getWebhookSettings().secret ? 'yes' : 'no'),
+    ui.ButtonSet.OK);
+}
+
+// ============ REMEDIATION ============
+
+/**
+ * Remediation actions offered for rows ticked in the "Remediate" column.
+ */
+const REMEDIATION_ACTIONS = {
+  revoke: { label: 'Revoke access' },
+  commenter: { label: 'Downgrade to commenter', role: 'commenter' },
+  reader: { label: 'Downgrade to viewer', role: 'reader' }
+};
+
+/**
+ * Permission roles from least to most access, for deciding whether a
+ * downgrade actually lowers access.
+ */
+const ROLE_RANK = ['reader', 'commenter', 'writer', 'fileOrganizer', 'organizer', 'owner'];
+
+/**
+ * Remediation runs stop before this much time has passed, leaving the
+ * remaining rows ticked so the command can simply be run again.
+ */
+const REMEDIATION_TIME_BUDGET_MS = 4.5 * 60 * 1000;
+
+const REMEDIATION_LOG_SHEET_NAME = 'Remediation Log';
+const REMEDIATION_LOG_HEADERS = [
+  'Undo',
+  'Timestamp',
+  'Action',
+  'File Name',
+  'File ID',
+  'Permission ID',
+  'Permission Type',
+  'Email',
+  'Domain',
+  'Previous Role',
+  'New Role',
+  'Undo Result',
+  'New Permission ID'
+];
+
+/**
+ * Menu entry point: opens the remediation dialog with a dry-run preview of
+ * the rows ticked in "Drive Audit".
+ */
+function showRemediationDialog() {
+  const template = HtmlService.createTemplateFromFile('RemediationDialog');
+  template.actions = REMEDIATION_ACTIONS;
+  template.auditSheetName = getOutputSheetName('audit');
+  SpreadsheetApp.getUi().showModalDialog(
+    template.evaluate().setWidth(640).setHeight(480),
+    'Remediate Permissions');
+}
+
+/**
+ * Plans a remediation for every ticked row without changing anything.
+ *
+ * @param {string} action - key of REMEDIATION_ACTIONS
+ * @return {Object[]} { row, fileId, fileName, permissionId, type, email,
+ *   domain, grantee, role, newRole, change, skipReason }
+ */
+function planRemediation(action) {
+  const definition = REMEDIATION_ACTIONS[action];
+  if (!definition) {
+    throw new Error('Unknown remediation action: ' + action);
+  }
+
+  const auditSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(getOutputSheetName('audit'));
+  const plan = [];
+
+  getAuditRecords(auditSheet).forEach(function(record, index) {
+    if (record['Remediate'] !== true) {
+      return;
+    }
+
+    const role = record['Permission Role'];
+    const item = {
+      row: index + 2,
+      fileId: record['File ID'],
+      fileName: record['File Name'],
+      permissionId: record['Permission ID'],
+      type: record['Permission Type'],
+      email: record['Permission Email'],
+      domain: record['Permission Domain'],
+      grantee: getGranteeLabel(record),
+      role: role,
+      newRole: definition.role || '',
+      change: definition.label,
+      skipReason: ''
+    };
+
+    if (!item.permissionId) {
+      item.skipReason = 'No permission on this row';
+    } else if (role === 'owner') {
+      item.skipReason = 'The owner\'s access cannot be revoked or downgraded';
+    } else if (definition.role && ROLE_RANK.indexOf(role) <= ROLE_RANK.indexOf(definition.role)) {
+      item.skipReason = 'Role is already ' + role;
+    }
+
+    plan.push(item);
+  });
+
+  return plan;
+}
+
+/**
+ * Why remediation can't run on the audit results right now, or '' if it
+ * can. Refused while an audit is running or waiting to be resumed, since
+ * results are written back by row number into the sheet the audit clears
+ * and appends to.
+ *
+ * @param {Sheet}    auditSheet - the "Drive Audit" sheet, or null
+ * @param {string[]} headers    - columns the remediation writes to
+ * @return {string} a message for the user, or ''
+ */
+function getRemediationBlocker(auditSheet, headers) {
+  if (PropertiesService.getScriptProperties().getProperty('AUDIT_STATE')) {
+    return 'An audit is currently running or waiting to be resumed. Wait for it to finish, or resume or cancel it first.';
+  }
+  if (!auditSheet || auditSheet.getLastRow() < 2) {
+    return 'Run an audit first: there are no results to remediate.';
+  }
+  const missing = headers.filter(function(header) {
+    return !getHeaderColumn(auditSheet, header);
+  });
+  if (missing.length > 0) {
+    return 'These results come from an older version without the "' + missing.join('" and "') +
+      '" column. Run a full audit first.';
+  }
+  return '';
+}
+
+/**
+ * Called from the remediation dialog: the dry-run preview.
+ */
+function previewRemediation(action) {
+  return planRemediation(action);
+}
+
+/**
+ * Called from the remediation dialog: applies the planned remediation
+ * through the Drive Permissions API. Each row's outcome is written to the
+ * "Remediation Result" column; successful rows are unticked and logged in
+ * the "Remediation Log" sheet so they can be undone.
+ *
+ * @return {Object} { success, message, succeeded, failed, skipped, remaining }
+ */
+function applyRemediation(action) {
+  const startTime = new Date().getTime();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const auditSheet = ss.getSheetByName(getOutputSheetName('audit'));
+  const blocker = getRemediationBlocker(auditSheet, ['Remediate', 'Remediation Result']);
+  if (blocker) {
+    return { success: false, message: blocker };
+  }
+
+  const remediateColumn = getHeaderColumn(auditSheet, 'Remediate');
+  const resultColumn = getHeaderColumn(auditSheet, 'Remediation Result');
+  const timestamp = new Date();
+  const summary = { success: true, succeeded: 0, failed: 0, skipped: 0, remaining: 0 };
+  const logRows = [];
+
+  planRemediation(action).forEach(function(item) {
+    if (new Date().getTime() - startTime > REMEDIATION_TIME_BUDGET_MS) {
+      summary.remaining++;
+      return;
+    }
+
+    let result;
+    if (item.skipReason) {
+      summary.skipped++;
+      result = '⏭️ Skipped: ' + item.skipReason;
     } else {
-      // 'myDrive' and 'owned': restrict to the user's own corpus, no shared drives
-      params.corpora = 'user';
-      params.supportsAllDrives = false;
-      params.includeItemsFromAllDrives = false;
-      if (scope === 'owned') {
-        params.q = "'me' in owners";
+      try {
+        if (item.newRole) {
+          Drive.Permissions.update({ role: item.newRole }, item.fileId, item.permissionId,
+            { supportsAllDrives: true });
+        } else {
+          Drive.Permissions.remove(item.fileId, item.permissionId, { supportsAllDrives: true });
+        }
+        summary.succeeded++;
+        result = '✅ ' + item.change + ' (' + Utilities.formatDate(timestamp, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm') + ')';
+        auditSheet.getRange(item.row, remediateColumn).setValue(false);
+        logRows.push([
+          false,
+          timestamp,
+          item.change,
+          item.fileName,
+          item.fileId,
+          item.permissionId,
+          item.type,
+          item.email,
+          item.domain,
+          item.role,
+          item.newRole,
+          '',
+          ''
+        ]);
+      } catch (error) {
+        summary.failed++;
+        result = '❌ Failed: ' + error.message;
+        Logger.log('ERROR remediating ' + item.fileId + '/' + item.permissionId + ': ' + error.toString());
       }
     }
+    auditSheet.getRange(item.row, resultColumn).setValue(result);
+  });
 
-    const response = Drive.Files.list(params);
+  if (logRows.length > 0) {
+    appendRemediationLog(ss, logRows);
+  }
 
-    Logger.log('Retrieved ' + (response.files ? response.files.length : 0) + ' files');
-    return response;
+  Logger.log('Remediation (' + action + '): ' + JSON.stringify(summary));
+  return summary;
+}
 
-  } catch (error) {
-    Logger.log('ERROR fetching files batch: ' + error.toString());
-    Logger.log('Stack trace: ' + error.stack);
-    return null;
+/**
+ * Appends entries to the "Remediation Log" sheet, creating it if needed.
+ */
+function appendRemediationLog(ss, rows) {
+  let sheet = ss.getSheetByName(REMEDIATION_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(REMEDIATION_LOG_SHEET_NAME);
+    sheet.setFrozenRows(1);
   }
+
+  // Rewritten every time so logs started by an older version gain new columns
+  sheet.getRange(1, 1, 1, REMEDIATION_LOG_HEADERS.length)
+    .setValues([REMEDIATION_LOG_HEADERS])
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+
+  const firstRow = sheet.getLastRow() + 1;
+  sheet.getRange(firstRow, 1, rows.length, REMEDIATION_LOG_HEADERS.length).setValues(rows);
+  sheet.getRange(firstRow, 1, rows.length, 1).insertCheckboxes();
 }
 
 /**
- * Resolves the full folder path for a file from its parent id(s),
- * e.g. "My Drive/Projects/2026/Reports".
+ * Menu entry point: reverts the remediations ticked in the "Undo" column
+ * of the "Remediation Log" sheet. Revoked permissions are granted again
+ * (without notification emails); downgraded ones get their previous role
+ * back.
+ */
+function undoSelectedRemediations() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REMEDIATION_LOG_SHEET_NAME);
+  const records = getAuditRecords(sheet);
+  const selected = [];
+  records.forEach(function(record, index) {
+    if (record['Undo'] === true) {
+      selected.push({ row: index + 2, record: record });
+    }
+  });
+
+  if (selected.length === 0) {
+    ui.alert('Nothing to Undo',
+      'Tick the "Undo" checkbox of the remediations to revert in the "' +
+      REMEDIATION_LOG_SHEET_NAME + '" sheet, then run this command again.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const confirm = ui.alert('Undo Remediations?',
+    'Revert ' + selected.length + ' remediation(s)? Revoked permissions are granted again ' +
+    'and downgraded permissions get their previous role back.',
+    ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) {
+    return;
+  }
+
+  const undoColumn = getHeaderColumn(sheet, 'Undo');
+  const resultColumn = getHeaderColumn(sheet, 'Undo Result');
+  let succeeded = 0;
+  let failed = 0;
+
+  selected.forEach(function(entry) {
+    const record = entry.record;
+    let result;
+    try {
+      if (record['Action'] === PUBLIC_LINK_POLICIES.domain.partialLabel) {
+        // The public link was never removed: only drop the added domain link
+        Drive.Permissions.remove(record['File ID'], record['New Permission ID'], { supportsAllDrives: true });
+      } else if (record['Action'] === PUBLIC_LINK_POLICIES.domain.label) {
+        // Put the public link back, then drop the domain permission that replaced it
+        regrantPermission(record);
+        if (record['New Permission ID']) {
+          Drive.Permissions.remove(record['File ID'], record['New Permission ID'], { supportsAllDrives: true });
+        }
+      } else if (record['New Role']) {
+        Drive.Permissions.update({ role: record['Previous Role'] }, record['File ID'], record['Permission ID'],
+          { supportsAllDrives: true });
+      } else {
+        regrantPermission(record);
+      }
+      succeeded++;
+      result = '✅ Undone ' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+      sheet.getRange(entry.row, undoColumn).setValue(false);
+    } catch (error) {
+      failed++;
+      result = '❌ Failed: ' + error.message;
+      Logger.log('ERROR undoing remediation on ' + record['File ID'] + ': ' + error.toString());
+    }
+    sheet.getRange(entry.row, resultColumn).setValue(result);
+  });
+
+  ui.alert('Undo Remediations',
+    '✅ Reverted: ' + succeeded + '\n❌ Failed: ' + failed +
+    (failed > 0 ? '\n\nSee the "Undo Result" column for details.' : ''),
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Creates a permission again from a "Remediation Log" entry of a revoke.
+ */
+function regrantPermission(record) {
+  const type = record['Permission Type'];
+  const permission = { type: type, role: record['Previous Role'] };
+  const options = { supportsAllDrives: true };
+
+  if (type === 'user' || type === 'group') {
+    permission.emailAddress = record['Email'];
+    options.sendNotificationEmail = false;
+  } else if (type === 'domain') {
+    permission.domain = record['Domain'];
+  }
+
+  return Drive.Permissions.create(permission, record['File ID'], options);
+}
+
+/**
+ * What restrictPublicLinks does with each "anyone with the link" permission.
+ * domain: replaced by "anyone in <internal domain> with the link", same role
+ * remove: deleted
+ */
+const PUBLIC_LINK_POLICIES = {
+  domain: {
+    label: 'Restrict public link to domain',
+    // Logged when the domain link was added but the public link stayed
+    partialLabel: 'Add domain link (public link kept)'
+  },
+  remove: { label: 'Remove public link' }
+};
+
+/**
+ * A file's existing "anyone at <domain>" permission, or null.
+ */
+function findDomainPermission(fileId, domain) {
+  const wanted = domain.toLowerCase();
+  return getFilePermissions(fileId).filter(function(permission) {
+    return permission.type === 'domain' && String(permission.domain || '').toLowerCase() === wanted;
+  })[0] || null;
+}
+
+/**
+ * Finds every "anyone" permission in the "Drive Audit" sheet. Files owned
+ * by someone else are marked skipped: only the owner should decide about
+ * their links. Shared drive files have no owner and are included. Links
+ * approved by an exception are skipped too.
  *
- * Walks up the parent chain, caching each folder lookup in folderCache
- * (keyed by folder id) so repeated ancestors aren't re-fetched. Returns
- * an empty string for files with no parent (e.g. items shared with you
- * that don't live in a folder you can traverse).
+ * @return {Object[]} { row, fileId, fileName, permissionId, role, skipReason }
+ */
+function planPublicLinkRestriction() {
+  const auditSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(getOutputSheetName('audit'));
+  const me = (Session.getEffectiveUser().getEmail() || '').toLowerCase();
+  const plan = [];
+
+  getAuditRecords(auditSheet).forEach(function(record, index) {
+    if (record['Permission Type'] !== 'anyone') {
+      return;
+    }
+    const owner = String(record['Owner'] || '').toLowerCase();
+    let skipReason = '';
+    if (isApprovedRecord(record)) {
+      skipReason = 'Approved by an exception';
+    } else if (owner && owner !== 'unknown' && owner !== me) {
+      skipReason = 'Owned by ' + record['Owner'] + ' - only the owner should change this link';
+    }
+    plan.push({
+      row: index + 2,
+      fileId: record['File ID'],
+      fileName: record['File Name'],
+      permissionId: record['Permission ID'],
+      role: record['Permission Role'],
+      skipReason: skipReason
+    });
+  });
+
+  return plan;
+}
+
+/**
+ * Menu entry point: converts every public link in the current audit
+ * results to a link-only domain permission with the same role, or removes
+ * it, depending on the policy the user picks. Outcomes go to the
+ * "Remediation Result" column and changes to the "Remediation Log".
+ */
+function restrictPublicLinks() {
+  const ui = SpreadsheetApp.getUi();
+  const auditSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(getOutputSheetName('audit'));
+  const blocker = getRemediationBlocker(auditSheet, ['Remediation Result']);
+  if (blocker) {
+    ui.alert('Restrict Public Links', blocker, ui.ButtonSet.OK);
+    return;
+  }
+
+  const plan = planPublicLinkRestriction();
+  const actionable = plan.filter(function(item) { return !item.skipReason; }).length;
+
+  if (plan.length === 0) {
+    ui.alert('No Public Links',
+      'The current audit results contain no "anyone with the link" permissions.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const domain = getInternalDomains()[0] || '';
+  const counts = 'Found ' + plan.length + ' public link(s); ' + actionable + ' on files you own' +
+    (plan.length > actionable ? ' (' + (plan.length - actionable) + ' owned by others or approved by an exception will be skipped)' : '') + '.\n\n';
+  let policy;
+
+  if (domain) {
+    const choice = ui.alert('Restrict Public Links',
+      counts +
+      'Yes: change each to "anyone at ' + domain + ' with the link", keeping its role\n' +
+      'No: remove each link entirely\n' +
+      'Cancel: do nothing',
+      ui.ButtonSet.YES_NO_CANCEL);
+    if (choice === ui.Button.YES) {
+      policy = 'domain';
+    } else if (choice === ui.Button.NO) {
+      policy = 'remove';
+    } else {
+      return;
+    }
+  } else {
+    const choice = ui.alert('Restrict Public Links',
+      counts +
+      'No internal domain is configured, so links can only be removed. Remove them?',
+      ui.ButtonSet.YES_NO);
+    if (choice !== ui.Button.YES) {
+      return;
+    }
+    policy = 'remove';
+  }
+
+  const summary = applyPublicLinkPolicy(plan, policy, domain);
+  ui.alert('Restrict Public Links',
+    '✅ Changed: ' + summary.succeeded + '\n' +
+    '❌ Failed: ' + summary.failed + '\n' +
+    '⏭️ Skipped: ' + summary.skipped +
+    (summary.remaining > 0 ? '\n\n' + summary.remaining + ' link(s) were not reached before the time limit. Run the command again to continue.' : '') +
+    '\n\nSee the "Remediation Result" column for details. Changes can be undone from the "' +
+    REMEDIATION_LOG_SHEET_NAME + '" sheet.',
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Applies a PUBLIC_LINK_POLICIES policy to a planPublicLinkRestriction plan.
+ * Rows already restricted by an earlier run are skipped. The caller checks
+ * getRemediationBlocker first.
  *
- * @param {string[]} parents     - file.parents from the Drive API
- * @param {Object}   folderCache - id -> folder resource (or null) cache
+ * @return {Object} { succeeded, failed, skipped, remaining }
+ */
+function applyPublicLinkPolicy(plan, policy, domain) {
+  const startTime = new Date().getTime();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const auditSheet = ss.getSheetByName(getOutputSheetName('audit'));
+  const resultColumn = getHeaderColumn(auditSheet, 'Remediation Result');
+  const previousResults = auditSheet.getRange(1, resultColumn, auditSheet.getLastRow(), 1).getValues();
+  const label = PUBLIC_LINK_POLICIES[policy].label;
+  const timestamp = new Date();
+  const stamp = Utilities.formatDate(timestamp, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+  const summary = { succeeded: 0, failed: 0, skipped: 0, remaining: 0 };
+  const logRows = [];
+
+  plan.forEach(function(item) {
+    if (String(previousResults[item.row - 1][0]).indexOf('✅') === 0) {
+      summary.skipped++;
+      return;
+    }
+    if (new Date().getTime() - startTime > REMEDIATION_TIME_BUDGET_MS) {
+      summary.remaining++;
+      return;
+    }
+
+    let result;
+    if (item.skipReason) {
+      summary.skipped++;
+      result = '⏭️ Skipped: ' + item.skipReason;
+    } else {
+      let existing = null;
+      let newPermissionId = '';
+      let removed = false;
+      try {
+        if (policy === 'domain') {
+          // Drive returns the id of a share the file already has instead of
+          // creating one, so only a permission created here may be undone
+          existing = findDomainPermission(item.fileId, domain);
+          if (!existing) {
+            const created = Drive.Permissions.create({
+              type: 'domain',
+              domain: domain,
+              role: item.role,
+              allowFileDiscovery: false
+            }, item.fileId, { supportsAllDrives: true, fields: 'id' });
+            newPermissionId = created.id;
+          }
+        }
+        try {
+          Drive.Permissions.remove(item.fileId, item.permissionId, { supportsAllDrives: true });
+          removed = true;
+        } catch (error) {
+          if (newPermissionId) {
+            throw new Error('added the ' + domain + ' link but could not remove the public link: ' + error.message);
+          }
+          throw error;
+        }
+
+        summary.succeeded++;
+        result = '✅ ' + label + (policy === 'domain' ? ' ' + domain : '') +
+          (existing ? ' (kept its existing ' + existing.role + ' share)' : '') + ' (' + stamp + ')';
+      } catch (error) {
+        summary.failed++;
+        result = '❌ Failed: ' + error.message;
+        Logger.log('ERROR restricting public link on ' + item.fileId + ': ' + error.toString());
+      }
+
+      // A domain link added before the public link failed to go is logged
+      // too, so it can be undone
+      if (removed || newPermissionId) {
+        logRows.push([
+          false,
+          timestamp,
+          removed ? label : PUBLIC_LINK_POLICIES.domain.partialLabel,
+          item.fileName,
+          item.fileId,
+          item.permissionId,
+          'anyone',
+          '',
+          policy === 'domain' ? domain : '',
+          item.role,
+          '',
+          '',
+          newPermissionId
+        ]);
+      }
+    }
+    auditSheet.getRange(item.row, resultColumn).setValue(result);
+  });
+
+  if (logRows.length > 0) {
+    appendRemediationLog(ss, logRows);
+  }
+
+  Logger.log('Public link restriction (' + policy + '): ' + JSON.stringify(summary));
+  return summary;
+}
+
+// ============ SETTINGS ============
+
+/**
+ * Settings edited in the settings sidebar, each stored in the document
+ * property of the same name. A missing property means the default here;
+ * INTERNAL_DOMAINS and DIGEST_RECIPIENTS are shared with their menu prompts.
+ */
+const SETTING_DEFAULTS = {
+  INTERNAL_DOMAINS: '',
+  BATCH_SIZE: 5000,
+  MAX_EXECUTION_MINUTES: 4.5,
+  CONTINUATION_DELAY_MINUTES: 1,
+  DEFAULT_SCOPE: 'all',
+  AUDIT_SHEET_NAME: 'Drive Audit',
+  SUMMARY_SHEET_NAME: 'Audit Summary',
+  STATUS_SHEET_NAME: 'Audit Status',
+  DIGEST_RECIPIENTS: '',
+  DIGEST_ON_SUCCESS: true,
+  HIDDEN_AUDIT_COLUMNS: ''
+};
+
+/**
+ * Allowed ranges. Runs are capped at 5 minutes so finalizing still fits in
+ * Apps Script's 6 minute execution limit.
+ */
+const SETTING_LIMITS = {
+  BATCH_SIZE: { min: 100, max: 10000 },
+  MAX_EXECUTION_MINUTES: { min: 1, max: 5 },
+  CONTINUATION_DELAY_MINUTES: { min: 1, max: 60 }
+};
+
+/**
+ * Scopes an audit can default to; folder and shared drive audits need a
+ * target, so they are always picked explicitly.
+ */
+const DEFAULT_SCOPE_CHOICES = ['all', 'myDrive', 'owned', 'incremental'];
+
+/**
+ * Sheets written under fixed names, which the configurable output sheets
+ * must not collide with.
+ */
+const FIXED_REPORT_SHEET_NAMES = [
+  'Risk Findings', 'Shared Drive Members', 'Permission Drift', 'Changes',
+  AUDIT_ERRORS_SHEET_NAME, GRANTEE_SHEET_NAME, SNAPSHOT_SHEET_NAME, REMEDIATION_LOG_SHEET_NAME,
+  EXCEPTIONS_SHEET_NAME, FOLDER_QUEUE_SHEET_NAME
+];
+
+/**
+ * Current settings, with defaults for anything not configured:
+ * internalDomains  - configured internal domains ([] = the audit account's)
+ * batchSize        - most files processed per run
+ * maxExecutionMinutes - when a run stops and schedules a continuation
+ * continuationDelayMinutes - wait before the next run
+ * defaultScope     - see DEFAULT_SCOPE_CHOICES
+ * sheetNames       - { audit, summary, status } output sheet names
+ * digestRecipients - email digest recipients ([] = digest disabled)
+ * digestOnSuccess  - also send the digest for completed audits
+ * hiddenColumns    - "Drive Audit" headers hidden in the sheet
+ */
+function getAuditSettings() {
+  const props = PropertiesService.getDocumentProperties().getProperties();
+  function read(key) {
+    return props[key] !== undefined && props[key] !== null ? props[key] : SETTING_DEFAULTS[key];
+  }
+
+  return {
+    internalDomains: parseDomainList(props.INTERNAL_DOMAINS),
+    batchSize: Number(read('BATCH_SIZE')),
+    maxExecutionMinutes: Number(read('MAX_EXECUTION_MINUTES')),
+    continuationDelayMinutes: Number(read('CONTINUATION_DELAY_MINUTES')),
+    defaultScope: read('DEFAULT_SCOPE'),
+    sheetNames: {
+      audit: read('AUDIT_SHEET_NAME'),
+      summary: read('SUMMARY_SHEET_NAME'),
+      status: read('STATUS_SHEET_NAME')
+    },
+    digestRecipients: parseEmailList(props.DIGEST_RECIPIENTS),
+    digestOnSuccess: props.DIGEST_ON_SUCCESS !== 'false',
+    hiddenColumns: String(read('HIDDEN_AUDIT_COLUMNS')).split('|').filter(String)
+  };
+}
+
+/**
+ * Name of an output sheet: 'audit' (default "Drive Audit"), 'summary'
+ * ("Audit Summary") or 'status' ("Audit Status").
+ */
+function getOutputSheetName(sheet) {
+  return getAuditSettings().sheetNames[sheet];
+}
+
+/**
+ * "1 minute", "4.5 minutes".
+ */
+function describeMinutes(minutes) {
+  return minutes + (minutes === 1 ? ' minute' : ' minutes');
+}
+
+/**
+ * Checks settings from the sidebar. Returns them in the shape of
+ * getAuditSettings, or throws an Error with a message for the user.
+ *
+ * @param {Object} input    - the sidebar's form values
+ * @param {Object} previous - the current getAuditSettings, whose output
+ *                            sheets may keep their names
+ */
+function normalizeSettings(input, previous) {
+  const settings = {};
+
+  const domainParts = String(input.internalDomains || '').split(/[\s,;]+/).filter(String);
+  domainParts.forEach(function(part) {
+    if (!/^@?[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(part)) {
+      throw new Error('"' + part + '" is not a domain. Enter domains like example.com.');
+    }
+  });
+  settings.internalDomains = parseDomainList(domainParts.join(','));
+
+  function readNumber(field, key, label, wholeNumber) {
+    const value = Number(input[field]);
+    const limits = SETTING_LIMITS[key];
+    if (String(input[field]).trim() === '' || isNaN(value) || value < limits.min || value > limits.max ||
+        (wholeNumber && Math.floor(value) !== value)) {
+      throw new Error(label + ' must be ' + (wholeNumber ? 'a whole number ' : '') +
+        'from ' + limits.min + ' to ' + limits.max + '.');
+    }
+    return value;
+  }
+  settings.batchSize = readNumber('batchSize', 'BATCH_SIZE', 'Files per run', true);
+  settings.maxExecutionMinutes = readNumber('maxExecutionMinutes', 'MAX_EXECUTION_MINUTES', 'Run time limit', false);
+  settings.continuationDelayMinutes = readNumber('continuationDelayMinutes', 'CONTINUATION_DELAY_MINUTES',
+    'Continuation delay', true);
+
+  if (DEFAULT_SCOPE_CHOICES.indexOf(input.defaultScope) === -1) {
+    throw new Error('Pick a default scope.');
+  }
+  settings.defaultScope = input.defaultScope;
+
+  settings.sheetNames = {};
+  const taken = FIXED_REPORT_SHEET_NAMES.map(function(name) { return name.toLowerCase(); });
+  // Output sheets are cleared on every audit, so a name may only belong to
+  // a sheet that is already this output sheet
+  const existing = SpreadsheetApp.getActiveSpreadsheet().getSheets().map(function(sheet) {
+    return sheet.getName().toLowerCase();
+  });
+  [['audit', 'Results sheet'], ['summary', 'Summary sheet'], ['status', 'Status sheet']].forEach(function(entry) {
+    const name = String((input.sheetNames || {})[entry[0]] || '').trim();
+    if (!name) {
+      throw new Error('Enter a name for the ' + entry[1].toLowerCase() + '.');
+    }
+    if (name.length > 100) {
+      throw new Error(entry[1] + ' names can be at most 100 characters long.');
+    }
+    if (taken.indexOf(name.toLowerCase()) !== -1) {
+      throw new Error('"' + name + '" is already used by another sheet. Pick a different ' +
+        entry[1].toLowerCase() + ' name.');
+    }
+    if (existing.indexOf(name.toLowerCase()) !== -1 &&
+        name.toLowerCase() !== previous.sheetNames[entry[0]].toLowerCase()) {
+      throw new Error('A sheet named "' + name + '" already exists, and its contents would be replaced by ' +
+        'every audit. Pick a different ' + entry[1].toLowerCase() + ' name, or rename that sheet first.');
+    }
+    taken.push(name.toLowerCase());
+    settings.sheetNames[entry[0]] = name;
+  });
+
+  const emailParts = String(input.digestRecipients || '').split(/[\s,;]+/).filter(String);
+  emailParts.forEach(function(part) {
+    if (parseEmailList(part).length === 0) {
+      throw new Error('"' + part + '" is not an email address.');
+    }
+  });
+  settings.digestRecipients = parseEmailList(emailParts.join(','));
+  settings.digestOnSuccess = input.digestOnSuccess !== false;
+
+  settings.hiddenColumns = [].concat(input.hiddenColumns || []).filter(function(header) {
+    return AUDIT_HEADERS.indexOf(header) !== -1;
+  });
+  if (settings.hiddenColumns.length === AUDIT_HEADERS.length) {
+    throw new Error('Keep at least one column visible.');
+  }
+  return settings;
+}
+
+/**
+ * Writes settings to the document properties, deleting the properties of
+ * settings left at their default.
+ */
+function storeSettings(settings) {
+  const docProps = PropertiesService.getDocumentProperties();
+  const values = {
+    INTERNAL_DOMAINS: settings.internalDomains.join(','),
+    BATCH_SIZE: settings.batchSize,
+    MAX_EXECUTION_MINUTES: settings.maxExecutionMinutes,
+    CONTINUATION_DELAY_MINUTES: settings.continuationDelayMinutes,
+    DEFAULT_SCOPE: settings.defaultScope,
+    AUDIT_SHEET_NAME: settings.sheetNames.audit,
+    SUMMARY_SHEET_NAME: settings.sheetNames.summary,
+    STATUS_SHEET_NAME: settings.sheetNames.status,
+    DIGEST_RECIPIENTS: settings.digestRecipients.join(','),
+    DIGEST_ON_SUCCESS: settings.digestOnSuccess,
+    HIDDEN_AUDIT_COLUMNS: settings.hiddenColumns.join('|')
+  };
+  Object.keys(values).forEach(function(key) {
+    if (values[key] === SETTING_DEFAULTS[key]) {
+      docProps.deleteProperty(key);
+    } else {
+      docProps.setProperty(key, String(values[key]));
+    }
+  });
+}
+
+/**
+ * Brings the spreadsheet in line with changed settings: renames output
+ * sheets that exist under their previous name and shows or hides the
+ * columns of the results sheet.
+ */
+function applySettings(previous, settings) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  Object.keys(settings.sheetNames).forEach(function(key) {
+    const oldName = previous.sheetNames[key];
+    const newName = settings.sheetNames[key];
+    const sheet = ss.getSheetByName(oldName);
+    if (oldName !== newName && sheet && !ss.getSheetByName(newName)) {
+      sheet.setName(newName);
+      Logger.log('Renamed sheet "' + oldName + '" to "' + newName + '"');
+    }
+  });
+
+  const auditSheet = ss.getSheetByName(settings.sheetNames.audit);
+  if (auditSheet) {
+    applyAuditColumnVisibility(auditSheet, settings.hiddenColumns);
+  }
+}
+
+/**
+ * Hides the results sheet columns whose header is in hiddenColumns and
+ * shows the others. The values stay in the sheet, so findings, exports and
+ * remediation still read them.
+ */
+function applyAuditColumnVisibility(auditSheet, hiddenColumns) {
+  const lastColumn = auditSheet.getLastColumn();
+  if (lastColumn === 0) {
+    return;
+  }
+  const headers = auditSheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  headers.forEach(function(header, index) {
+    if (hiddenColumns.indexOf(header) !== -1) {
+      auditSheet.hideColumns(index + 1);
+    } else {
+      auditSheet.showColumns(index + 1);
+    }
+  });
+}
+
+/**
+ * Menu entry point: opens the settings sidebar.
+ */
+function showSettingsSidebar() {
+  const template = HtmlService.createTemplateFromFile('SettingsSidebar');
+  template.settings = getAuditSettings();
+  template.effectiveDomains = getInternalDomains();
+  template.limits = SETTING_LIMITS;
+  template.columns = AUDIT_HEADERS;
+  template.scopes = DEFAULT_SCOPE_CHOICES.map(function(scope) {
+    return {
+      value: scope,
+      label: scope === 'incremental' ? 'Changes since last audit (incremental)' : describeAuditScope(scope)
+    };
+  });
+  SpreadsheetApp.getUi().showSidebar(template.evaluate().setTitle('Drive Audit Settings'));
+}
+
+/**
+ * Called from the settings sidebar: validates and stores the settings.
+ *
+ * @return {Object} { success, message, settings, effectiveDomains }
+ */
+function saveSettings(input) {
+  const previous = getAuditSettings();
+  let settings;
+  try {
+    settings = normalizeSettings(input, previous);
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+
+  storeSettings(settings);
+  applySettings(previous, settings);
+  Logger.log('Settings saved: ' + JSON.stringify(settings));
+  return {
+    success: true,
+    message: 'Settings saved. They apply from the next audit run.',
+    settings: getAuditSettings(),
+    effectiveDomains: getInternalDomains()
+  };
+}
+
+/**
+ * Called from the settings sidebar: restores every setting to its default.
+ *
+ * @return {Object} { success, message, settings, effectiveDomains }
+ */
+function resetSettings() {
+  const previous = getAuditSettings();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const defaults = {
+    audit: SETTING_DEFAULTS.AUDIT_SHEET_NAME,
+    summary: SETTING_DEFAULTS.SUMMARY_SHEET_NAME,
+    status: SETTING_DEFAULTS.STATUS_SHEET_NAME
+  };
+  // Same rule as normalizeSettings: never take over an unrelated sheet
+  const conflict = Object.keys(defaults).filter(function(key) {
+    return defaults[key].toLowerCase() !== previous.sheetNames[key].toLowerCase() &&
+      ss.getSheetByName(defaults[key]);
+  })[0];
+  if (conflict) {
+    return {
+      success: false,
+      message: 'A sheet named "' + defaults[conflict] + '" already exists, and its contents would be replaced by ' +
+        'every audit. Rename that sheet first, then reset the settings.'
+    };
+  }
+
+  const docProps = PropertiesService.getDocumentProperties();
+  Object.keys(SETTING_DEFAULTS).forEach(function(key) {
+    docProps.deleteProperty(key);
+  });
+  const settings = getAuditSettings();
+  applySettings(previous, settings);
+  Logger.log('Settings reset to defaults');
+  return {
+    success: true,
+    message: 'All settings were reset to their defaults.',
+    settings: settings,
+    effectiveDomains: getInternalDomains()
+  };
+}
+
+// ============ SCHEDULING ============
+
+/**
+ * Scheduled audits are stored as named schedules in the document property
+ * AUDIT_SCHEDULES, each with its own time-driven trigger calling
+ * runScheduledAudit:
+ * { id, name, frequency ('daily' | 'weekly' | 'monthly'), weekDay (a
+ *   ScriptApp.WeekDay name, weekly only), monthDay (monthly only), hour,
+ *   timeZone, scope (see AUDIT_SCOPES, or 'incremental'), target,
+ *   targetName, preset, triggerId }
+ */
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const SCHEDULE_WEEK_DAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+/**
+ * Highest day of the month a schedule may use, so it runs every month.
+ */
+const SCHEDULE_MAX_MONTH_DAY = 28;
+
+/**
+ * Reads the named schedules.
+ */
+function getSchedules() {
+  return JSON.parse(PropertiesService.getDocumentProperties().getProperty('AUDIT_SCHEDULES') || '[]');
+}
+
+function saveSchedules(schedules) {
+  PropertiesService.getDocumentProperties().setProperty('AUDIT_SCHEDULES', JSON.stringify(schedules));
+}
+
+/**
+ * Whether a time zone id (e.g. "Europe/Berlin") is known.
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Human-readable schedule, e.g. "Every Monday at 06:00 (Europe/Berlin):
+ * All Drives (including shared)".
  */
-function getFolderPath(parents, folderCache) {
-  if (!parents || parents.length === 0) {
-    return '';
+function describeSchedule(schedule) {
+  const hour = (schedule.hour < 10 ? '0' : '') + schedule.hour + ':00';
+  let when;
+  if (schedule.frequency === 'daily') {
+    when = 'Every day';
+  } else if (schedule.frequency === 'weekly') {
+    when = 'Every ' + schedule.weekDay.charAt(0) + schedule.weekDay.slice(1).toLowerCase();
+  } else {
+    when = 'Monthly on day ' + schedule.monthDay;
   }
 
-  const pathParts = [];
-  let currentId = parents[0]; // a file is normally in a single folder
-  let depth = 0;
-  const MAX_DEPTH = 100; // safety guard against unexpected cycles
+  const what = schedule.scope === 'incremental'
+    ? 'Changes since last audit (incremental)'
+    : describeAuditScope(schedule.scope, schedule.targetName) +
+      (schedule.preset ? ' (filter: ' + schedule.preset + ')' : '');
+  return when + ' at ' + hour + ' (' + schedule.timeZone + '): ' + what;
+}
 
-  while (currentId && depth < MAX_DEPTH) {
-    depth++;
+/**
+ * Checks a schedule from the editor and resolves its target. Returns the
+ * schedule to store, or throws an Error with a message for the user.
+ */
+function normalizeSchedule(input, schedules) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new Error('Enter a name for the schedule.');
+  }
+  const duplicate = schedules.some(function(schedule) {
+    return schedule.id !== input.id && schedule.name.toLowerCase() === name.toLowerCase();
+  });
+  if (duplicate) {
+    throw new Error('There is already a schedule named "' + name + '".');
+  }
 
-    let folder = folderCache[currentId];
-    if (folder === undefined) {
-      try {
-        folder = Drive.Files.get(currentId, {
-          fields: 'id, name, parents',
-          supportsAllDrives: true
-        });
-      } catch (error) {
-        Logger.log('WARNING: could not resolve folder ' + currentId + ': ' + error.toString());
-        folder = null;
-      }
-      folderCache[currentId] = folder;
-    }
+  if (SCHEDULE_FREQUENCIES.indexOf(input.frequency) === -1) {
+    throw new Error('Pick daily, weekly or monthly.');
+  }
+  const hour = Number(input.hour);
+  if (!(hour >= 0 && hour <= 23 && Math.floor(hour) === hour)) {
+    throw new Error('The hour must be a whole number from 0 to 23.');
+  }
+  if (input.frequency === 'weekly' && SCHEDULE_WEEK_DAYS.indexOf(input.weekDay) === -1) {
+    throw new Error('Pick a day of the week.');
+  }
+  const monthDay = Number(input.monthDay);
+  if (input.frequency === 'monthly' &&
+      !(monthDay >= 1 && monthDay <= SCHEDULE_MAX_MONTH_DAY && Math.floor(monthDay) === monthDay)) {
+    throw new Error('The day of the month must be from 1 to ' + SCHEDULE_MAX_MONTH_DAY + '.');
+  }
+  const timeZone = String(input.timeZone || '').trim();
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error('Unknown time zone "' + timeZone + '". Use a name like Europe/Berlin or America/New_York.');
+  }
 
+  const scope = input.scope;
+  if (scope !== 'incremental' && AUDIT_SCOPES.indexOf(scope) === -1) {
+    throw new Error('Pick what to audit.');
+  }
+  let target = '';
+  let targetName = '';
+  if (scope === 'folder') {
+    const folder = getAuditFolder(parseDriveId(input.target));
     if (!folder) {
-      break;
+      throw new Error('The folder doesn\'t exist, isn\'t a folder, or you don\'t have access to it.');
+    }
+    target = folder.id;
+    targetName = folder.name;
+  } else if (scope === 'sharedDrives') {
+    const drives = getSharedDrives([].concat(input.target || []));
+    if (drives.length === 0) {
+      throw new Error('Pick at least one shared drive.');
     }
+    target = drives.map(function(drive) { return drive.id; }).join(',');
+    targetName = drives.map(function(drive) { return drive.name; }).join(', ');
+  }
 
-    pathParts.unshift(folder.name);
-    currentId = (folder.parents && folder.parents.length > 0) ? folder.parents[0] : null;
+  const preset = scope === 'incremental' ? '' : String(input.preset || '');
+  if (preset && !getQueryPresets()[preset]) {
+    throw new Error('There is no filter preset named "' + preset + '".');
   }
 
-  return pathParts.join('/');
+  return {
+    id: input.id || Utilities.getUuid(),
+    name: name,
+    frequency: input.frequency,
+    weekDay: input.frequency === 'weekly' ? input.weekDay : '',
+    monthDay: input.frequency === 'monthly' ? monthDay : 0,
+    hour: hour,
+    timeZone: timeZone,
+    scope: scope,
+    target: target,
+    targetName: targetName,
+    preset: preset,
+    triggerId: ''
+  };
 }
 
 /**
- * Gets all files from Google Drive (legacy - kept for compatibility)
- * Note: For large Drive accounts, use processDriveAuditBatch instead
+ * Creates the time-driven trigger of a schedule and returns its id.
  */
-function getAllDriveFiles() {
-  Logger.log('Fetching files from Drive API...');
-  const files = [];
-  let pageToken = null;
-  let pageNumber = 0;
-  
-  do {
-    try {
-      pageNumber++;
-      Logger.log('Fetching page ' + pageNumber + ' (100 files per page)...');
-      
-      const response = Drive.Files.list({
-        pageSize: 100,
-        fields: 'nextPageToken, files(id, name, mimeType, owners, createdTime, modifiedTime, size, webViewLink, permissions, parents)',
-        pageToken: pageToken,
-        supportsAllDrives: true,
-        includeItemsFromAllDrives: true
-      });
-
-      if (response.files && response.files.length > 0) {
-        files.push(...response.files);
-        Logger.log('Page ' + pageNumber + ' retrieved: ' + response.files.length + ' files (Total so far: ' + files.length + ')');
-      } else {
-        Logger.log('Page ' + pageNumber + ' contained no files');
-      }
-      
-      pageToken = response.nextPageToken;
-      
-      if (pageToken) {
-        Logger.log('More pages available, continuing...');
-      } else {
-        Logger.log('No more pages to fetch');
-      }
-      
-    } catch (error) {
-      Logger.log('ERROR fetching files on page ' + pageNumber + ': ' + error.toString());
-      Logger.log('Stack trace: ' + error.stack);
-      break;
-    }
-  } while (pageToken);
-  
-  Logger.log('File fetching complete. Total files: ' + files.length);
-  return files;
+function createScheduleTrigger(schedule) {
+  let builder = ScriptApp.newTrigger('runScheduledAudit').timeBased();
+  if (schedule.frequency === 'daily') {
+    builder = builder.everyDays(1);
+  } else if (schedule.frequency === 'weekly') {
+    builder = builder.onWeekDay(ScriptApp.WeekDay[schedule.weekDay]);
+  } else {
+    builder = builder.onMonthDay(schedule.monthDay);
+  }
+  const trigger = builder.atHour(schedule.hour).inTimezone(schedule.timeZone).create();
+  Logger.log('Created trigger ' + trigger.getUniqueId() + ' for schedule "' + schedule.name + '"');
+  return trigger.getUniqueId();
 }
 
 /**
- * Gets permissions for a specific file
+ * Deletes the project trigger with the given id, if it still exists.
  */
-function getFilePermissions(fileId) {
-  const permissions = [];
-  
-  try {
-    const response = Drive.Permissions.list(fileId, {
-      fields: 'permissions(id, type, role, emailAddress, domain, displayName)',
-      supportsAllDrives: true
-    });
-    
-    if (response.permissions) {
-      return response.permissions;
+function deleteTriggerById(triggerId) {
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getUniqueId() === triggerId) {
+      ScriptApp.deleteTrigger(trigger);
     }
-  } catch (error) {
-    Logger.log('WARNING: Error fetching permissions for file ' + fileId + ': ' + error.toString());
-    // Return null to indicate an error occurred (vs empty array for no permissions)
-    return [];
-  }
-  
-  return permissions;
+  });
 }
 
 /**
- * Determines the file type based on MIME type
+ * Turns a weekly trigger set up by earlier versions (Monday, 6 AM, calling
+ * runDriveAudit) into a named schedule, so it shows up in the editor.
  */
-function getFileType(file) {
-  const mimeType = file.mimeType;
-  
-  if (mimeType === 'application/vnd.google-apps.folder') {
-    return 'Folder';
-  } else if (mimeType.startsWith('application/vnd.google-apps.')) {
-    return 'Google ' + mimeType.replace('application/vnd.google-apps.', '').replace('-', ' ');
-  } else if (mimeType.startsWith('image/')) {
-    return 'Image';
-  } else if (mimeType.startsWith('video/')) {
-    return 'Video';
-  } else if (mimeType.startsWith('audio/')) {
-    return 'Audio';
-  } else if (mimeType.includes('pdf')) {
-    return 'PDF';
-  } else if (mimeType.includes('document') || mimeType.includes('text')) {
-    return 'Document';
-  } else if (mimeType.includes('spreadsheet')) {
-    return 'Spreadsheet';
-  } else if (mimeType.includes('presentation')) {
-    return 'Presentation';
-  } else {
-    return 'File';
+function migrateLegacySchedule() {
+  const legacyTriggers = ScriptApp.getProjectTriggers().filter(function(trigger) {
+    return trigger.getHandlerFunction() === 'runDriveAudit';
+  });
+  if (legacyTriggers.length === 0) {
+    return;
   }
-}
 
-/**
- * Creates a summary sheet with audit statistics
- */
-function createSummary(sheet, totalFiles, totalPermissions) {
-  Logger.log('Generating summary data...');
-  
-  const summaryData = [
-    ['Drive Audit Summary', ''],
-    ['', ''],
-    ['Audit Date:', new Date()],
-    ['Total Files Audited:', totalFiles],
-    ['Total Permission Entries:', totalPermissions],
-    ['', ''],
-    ['Next Steps:', ''],
-    ['1. Review the "Drive Audit" sheet for detailed permissions', ''],
-    ['2. Use filters to find files with specific sharing settings', ''],
-    ['3. Look for files shared with "anyone" or external domains', ''],
-    ['4. Set up a weekly schedule to run audits automatically', '']
-  ];
-  
-  sheet.getRange(1, 1, summaryData.length, 2).setValues(summaryData);
-  Logger.log('Summary data written to sheet');
-  
-  // Format summary
-  Logger.log('Formatting summary sheet...');
-  sheet.getRange(1, 1, 1, 2).merge()
-    .setFontSize(16)
-    .setFontWeight('bold')
-    .setBackground('#4285f4')
-    .setFontColor('#ffffff')
-    .setHorizontalAlignment('center');
-  
-  sheet.getRange(3, 1, 3, 1).setFontWeight('bold');
-  sheet.getRange(7, 1, 1, 1).setFontWeight('bold').setFontSize(12);
-  
-  sheet.setColumnWidth(1, 300);
-  sheet.setColumnWidth(2, 200);
-  Logger.log('Summary formatting complete');
+  const docProps = PropertiesService.getDocumentProperties();
+  const preset = docProps.getProperty('SCHEDULE_QUERY_PRESET') || '';
+  const schedule = {
+    id: Utilities.getUuid(),
+    name: 'Weekly audit',
+    frequency: 'weekly',
+    weekDay: 'MONDAY',
+    monthDay: 0,
+    hour: 6,
+    timeZone: Session.getScriptTimeZone(),
+    scope: !preset && docProps.getProperty('FULL_RESCAN_DAYS') ? 'incremental' : 'all',
+    target: '',
+    targetName: '',
+    preset: getQueryPresets()[preset] ? preset : '',
+    triggerId: ''
+  };
+  schedule.triggerId = createScheduleTrigger(schedule);
+
+  legacyTriggers.forEach(function(trigger) {
+    ScriptApp.deleteTrigger(trigger);
+  });
+  docProps.deleteProperty('SCHEDULE_QUERY_PRESET');
+  saveSchedules(getSchedules().concat([schedule]));
+  Logger.log('Migrated the weekly schedule to "' + schedule.name + '"');
 }
 
 /**
- * Shows dialog to set up scheduled audit
+ * Menu entry point: opens the schedule editor (license required).
  */
 function showScheduleDialog() {
   if (!isLicensed()) {
     showLicenseDialog(
-      '🔒 Weekly scheduled audits require a license. ' +
+      '🔒 Scheduled audits require a license. ' +
       'Schedule setup will continue right after activation.',
       'schedule');
     return;
   }
-  showScheduleConfirm();
+  showScheduleEditor();
 }
 
 /**
- * The actual schedule setup confirmation (license already verified).
+ * The schedule editor itself (license already verified).
  */
-function showScheduleConfirm() {
-  const ui = SpreadsheetApp.getUi();
+function showScheduleEditor() {
+  migrateLegacySchedule();
 
-  const result = ui.alert(
-    'Setup Weekly Scheduled Audit',
-    'Do you want to set up a weekly audit that runs automatically?\n\n' +
-    'The audit will run every Monday at 6:00 AM and update the sheets.\n\n' +
-    'Note: You can remove the schedule anytime from the menu.',
-    ui.ButtonSet.YES_NO
-  );
-  
-  if (result === ui.Button.YES) {
-    setupWeeklyTrigger();
+  let drives = [];
+  try {
+    drives = listSharedDrives();
+  } catch (error) {
+    Logger.log('WARNING: could not list shared drives for the schedule editor: ' + error.toString());
   }
+
+  const template = HtmlService.createTemplateFromFile('ScheduleDialog');
+  template.schedules = getScheduleList();
+  template.presets = Object.keys(getQueryPresets()).sort();
+  template.drives = drives;
+  template.weekDays = SCHEDULE_WEEK_DAYS;
+  template.maxMonthDay = SCHEDULE_MAX_MONTH_DAY;
+  template.timeZone = Session.getScriptTimeZone();
+  template.defaultScope = getAuditSettings().defaultScope;
+  template.scopes = [
+    { value: 'all', label: describeAuditScope('all') },
+    { value: 'myDrive', label: describeAuditScope('myDrive') },
+    { value: 'owned', label: describeAuditScope('owned') },
+    { value: 'folder', label: 'A folder and its subfolders' },
+    { value: 'sharedDrives', label: 'Selected shared drives' },
+    { value: 'incremental', label: 'Changes since last audit (incremental)' }
+  ];
+  SpreadsheetApp.getUi().showModalDialog(
+    template.evaluate().setWidth(600).setHeight(560),
+    'Scheduled Audits');
 }
 
 /**
- * Sets up a weekly trigger to run the audit automatically
+ * The schedules as shown in the editor, with their descriptions.
  */
-function setupWeeklyTrigger() {
-  Logger.log('Setting up weekly trigger...');
-  const ui = SpreadsheetApp.getUi();
-  
+function getScheduleList() {
+  return getSchedules().map(function(schedule) {
+    return Object.assign({ description: describeSchedule(schedule) }, schedule);
+  });
+}
+
+/**
+ * Called from the schedule editor: creates a schedule, or replaces the one
+ * with the same id, including its trigger.
+ *
+ * @return {Object} { success, message, schedules }
+ */
+function saveSchedule(input) {
+  const schedules = getSchedules();
+  let schedule;
   try {
-    // Delete existing triggers for this function
-    const triggers = ScriptApp.getProjectTriggers();
-    Logger.log('Checking for existing triggers. Found ' + triggers.length + ' total triggers');
-    
-    let deletedCount = 0;
-    triggers.forEach(function(trigger) {
-      if (trigger.getHandlerFunction() === 'runDriveAudit') {
-        Logger.log('Deleting existing trigger: ' + trigger.getUniqueId());
-        ScriptApp.deleteTrigger(trigger);
-        deletedCount++;
-      }
-    });
-    Logger.log('Deleted ' + deletedCount + ' existing runDriveAudit triggers');
-    
-    // Create new weekly trigger (every Monday at 6 AM)
-    Logger.log('Creating new weekly trigger for Monday at 6:00 AM...');
-    const newTrigger = ScriptApp.newTrigger('runDriveAudit')
-      .timeBased()
-      .onWeekDay(ScriptApp.WeekDay.MONDAY)
-      .atHour(6)
-      .create();
-    
-    Logger.log('Trigger created successfully. Trigger ID: ' + newTrigger.getUniqueId());
-    
-    ui.alert('Success', 
-      'Weekly audit has been scheduled!\n\n' +
-      'The audit will run automatically every Monday at 6:00 AM.\n\n' +
-      'You can:\n' +
-      '• Run it manually anytime from the Add-ons menu\n' +
-      '• Remove the schedule from "Remove Schedule" menu option',
-      ui.ButtonSet.OK);
-      
+    schedule = normalizeSchedule(input, schedules);
   } catch (error) {
-    Logger.log('ERROR setting up trigger: ' + error.toString());
-    Logger.log('Stack trace: ' + error.stack);
-    ui.alert('Error', 
-      'Failed to set up the scheduled audit:\n' + error.toString() + '\n\n' +
-      'Make sure you have authorized the necessary permissions.',
-      ui.ButtonSet.OK);
+    return { success: false, message: error.message };
+  }
+
+  const existing = schedules.filter(function(item) {
+    return item.id === schedule.id;
+  })[0];
+
+  try {
+    schedule.triggerId = createScheduleTrigger(schedule);
+  } catch (error) {
+    Logger.log('ERROR creating schedule trigger: ' + error.toString());
+    return { success: false, message: 'Could not create the trigger: ' + error.toString() };
+  }
+  if (existing) {
+    deleteTriggerById(existing.triggerId);
+  }
+
+  saveSchedules(schedules.filter(function(item) {
+    return item.id !== schedule.id;
+  }).concat([schedule]));
+  Logger.log('Saved schedule: ' + describeSchedule(schedule));
+  return { success: true, message: 'Saved "' + schedule.name + '".', schedules: getScheduleList() };
+}
+
+/**
+ * Called from the schedule editor: removes a schedule and its trigger.
+ *
+ * @return {Object} { success, message, schedules }
+ */
+function deleteSchedule(id) {
+  const schedules = getSchedules();
+  const schedule = schedules.filter(function(item) {
+    return item.id === id;
+  })[0];
+  if (!schedule) {
+    return { success: false, message: 'That schedule no longer exists.', schedules: getScheduleList() };
+  }
+
+  deleteTriggerById(schedule.triggerId);
+  saveSchedules(schedules.filter(function(item) {
+    return item.id !== id;
+  }));
+  Logger.log('Deleted schedule "' + schedule.name + '"');
+  return { success: true, message: 'Deleted "' + schedule.name + '".', schedules: getScheduleList() };
+}
+
+/**
+ * Trigger entry point of every schedule. Runs without a user interface, so
+ * nothing here (or in startScheduledAudit) may call SpreadsheetApp.getUi().
+ *
+ * @param {Object} e - time-driven trigger event; e.triggerUid identifies
+ *                     the schedule
+ */
+function runScheduledAudit(e) {
+  const triggerId = e && e.triggerUid;
+  const schedule = getSchedules().filter(function(item) {
+    return item.triggerId === triggerId;
+  })[0];
+  if (!schedule) {
+    Logger.log('No schedule belongs to trigger ' + triggerId + '; nothing to run');
+    return;
+  }
+  startScheduledAudit(schedule.name, schedule.scope, schedule.target, schedule.preset);
+}
+
+/**
+ * Starts an audit without a user interface. A schedule that fires while
+ * another audit is running is skipped, so it doesn't discard that audit's
+ * progress; a failed audit is discarded instead, so one Drive outage
+ * doesn't stop every schedule until someone resumes or cancels it. Either
+ * is noted in the status sheet (see SCHEDULE_NOTICE).
+ */
+function startScheduledAudit(name, scope, target, preset) {
+  Logger.log('Scheduled audit "' + name + '" triggered');
+  const scriptProps = PropertiesService.getScriptProperties();
+  const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+  const auditState = loadAuditState();
+  let notice = '';
+
+  if (auditState && !auditState.failed) {
+    Logger.log('Another audit is running; skipping scheduled audit "' + name + '"');
+    scriptProps.setProperty('SCHEDULE_NOTICE',
+      'Scheduled audit "' + name + '" was skipped at ' + stamp + ' because another audit was running.');
+    updateAuditStatus('RUNNING', 'Scheduled audit "' + name + '" skipped: another audit is still running.',
+      auditState.filesProcessed, 0, auditState);
+    return;
+  }
+  if (auditState) {
+    Logger.log('Discarding failed audit (' + auditState.failed.error + ') for scheduled audit "' + name + '"');
+    clearAuditState();
+    deleteContinuationTriggers();
+    notice = 'Scheduled audit "' + name + '" discarded a failed ' + auditState.scopeLabel + ' audit at ' + stamp +
+      ' (' + auditState.failed.error + ').';
   }
+
+  if (notice) {
+    scriptProps.setProperty('SCHEDULE_NOTICE', notice);
+  } else {
+    scriptProps.deleteProperty('SCHEDULE_NOTICE');
+  }
+
+  const started = prepareAudit(scope, target, preset);
+  if (!started.success) {
+    Logger.log('ERROR: scheduled audit "' + name + '" could not start: ' + started.message);
+    updateAuditStatus('ERROR', 'Scheduled audit "' + name + '" could not start: ' + started.message, 0, 0);
+    return;
+  }
+  processDriveAuditBatch();
 }
 
 /**
- * Removes scheduled audit triggers (not continuation triggers)
+ * Menu entry point: removes every schedule and its trigger (not
+ * continuation triggers).
  */
 function removeScheduledAudits() {
   Logger.log('Removing scheduled audit triggers...');
   const ui = SpreadsheetApp.getUi();
   
   try {
+    const schedules = getSchedules();
     const triggers = ScriptApp.getProjectTriggers();
     let deletedCount = 0;
     
     triggers.forEach(function(trigger) {
-      // Only delete runDriveAudit triggers (not processDriveAuditBatch continuation triggers)
-      if (trigger.getHandlerFunction() === 'runDriveAudit') {
+      // Only schedule triggers (not processDriveAuditBatch continuation
+      // triggers); runDriveAudit is the weekly trigger of earlier versions
+      const handler = trigger.getHandlerFunction();
+      if (handler === 'runScheduledAudit' || handler === 'runDriveAudit') {
         Logger.log('Deleting trigger: ' + trigger.getUniqueId());
         ScriptApp.deleteTrigger(trigger);
         deletedCount++;
       }
     });
+    saveSchedules([]);
     
-    if (deletedCount > 0) {
+    if (deletedCount > 0 || schedules.length > 0) {
       Logger.log('Deleted ' + deletedCount + ' scheduled audit trigger(s)');
       ui.alert('Success', 
-        'Scheduled weekly audit has been removed.\n\n' +
+        'All scheduled audits have been removed.\n\n' +
         'Note: Any currently running audit will continue to completion.\n' +
         'You can still run audits manually from the Add-ons menu.',
         ui.ButtonSet.OK);
@@ -1002,7 +7127,7 @@ function removeScheduledAudits() {
       Logger.log('No scheduled audit triggers found');
       ui.alert('No Schedule Found', 
         'There are no scheduled audits to remove.\n\n' +
-        'Use "Setup Weekly Schedule" to create one.',
+        'Use "Scheduled Audits…" to create one.',
         ui.ButtonSet.OK);
     }
     
@@ -1015,6 +7140,43 @@ function removeScheduledAudits() {
   }
 }
 
+/**
+ * Menu entry point: continues a failed audit from its last checkpoint,
+ * e.g. after Drive kept failing past the retries.
+ */
+function resumeFailedAudit() {
+  const ui = SpreadsheetApp.getUi();
+  const auditState = loadAuditState();
+
+  if (!auditState || !auditState.failed) {
+    ui.alert('No Failed Audit',
+      'There is no failed audit to resume.\n\n' +
+      'If an audit is still running, check its progress with "Check Audit Status".',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  Logger.log('Resuming failed audit in phase ' + auditState.phase + ' after: ' + auditState.failed.error);
+  delete auditState.failed;
+  if (!saveAuditState(auditState)) {
+    ui.alert('Resume Failed Audit',
+      'The audit could not be resumed: ' + auditState.failed.error,
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  updateAuditStatus('RUNNING', 'Resuming the audit from its last checkpoint...', auditState.filesProcessed, 0,
+    auditState);
+  ui.alert('Resume Failed Audit',
+    'Scope: ' + auditState.scopeLabel + '\n\n' +
+    'Resuming from the last checkpoint (' + auditState.filesProcessed + ' files already processed).\n\n' +
+    '⏳ The audit continues in the background.\n' +
+    '📊 Check the "' + getOutputSheetName('status') + '" sheet for progress.',
+    ui.ButtonSet.OK);
+
+  processDriveAuditBatch();
+}
+
 /**
  * Cancels a currently running audit
  */
@@ -1048,10 +7210,10 @@ function cancelRunningAudit() {
   
   if (result === ui.Button.YES) {
     try {
+      const cancelledState = JSON.parse(auditState);
+
       // Delete audit state
-      scriptProps.deleteProperty('AUDIT_STATE');
-      scriptProps.deleteProperty('AUDIT_PAGE_TOKEN');
-      scriptProps.deleteProperty('AUDIT_SCOPE');
+      clearAuditState();
 
       // Delete continuation triggers
       deleteContinuationTriggers();
@@ -1061,6 +7223,12 @@ function cancelRunningAudit() {
       updateAuditStatus('CANCELLED', 
         'Audit was cancelled by user. You can run a new audit anytime from the Add-ons menu.',
         0, 0);
+      notifyWebhooks('audit.cancelled', {
+        scope: cancelledState.scope,
+        scopeLabel: cancelledState.scopeLabel,
+        startTime: cancelledState.startTime,
+        filesAudited: cancelledState.filesProcessed
+      });
       
       Logger.log('Audit cancelled successfully');
       
@@ -1088,7 +7256,7 @@ function cancelRunningAudit() {
 function showAuditStatus() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const ui = SpreadsheetApp.getUi();
-  const statusSheet = ss.getSheetByName('Audit Status');
+  const statusSheet = ss.getSheetByName(getOutputSheetName('status'));
   
   if (!statusSheet) {
     ui.alert('No Audit Status', 
@@ -1103,6 +7271,16 @@ function showAuditStatus() {
     const status = statusData[0][0] || 'UNKNOWN';
     const lastUpdated = statusData[1][0] || 'Never';
     const message = statusData[2][0] || 'No message';
+
+    // Progress rows (see describeAuditProgress) follow a blank row
+    const progressLines = [];
+    if (statusSheet.getLastRow() >= 8) {
+      statusSheet.getRange(8, 1, statusSheet.getLastRow() - 7, 2).getValues().forEach(function(row) {
+        if (row[0]) {
+          progressLines.push(row[0] + ' ' + row[1]);
+        }
+      });
+    }
     
     let icon = '❓';
     if (status === 'RUNNING') {
@@ -1118,9 +7296,13 @@ function showAuditStatus() {
     let displayMessage = icon + ' Status: ' + status + '\n\n' +
                         'Last Updated: ' + lastUpdated + '\n\n' +
                         'Message:\n' + message;
+
+    if (progressLines.length > 0) {
+      displayMessage += '\n\n' + progressLines.join('\n');
+    }
     
     if (status === 'RUNNING') {
-      displayMessage += '\n\n⏱️ Still running... Check back in a few hours.\n📊 See the "Audit Status" sheet for real-time progress.\n🛑 Use "Cancel Running Audit" to stop it.';
+      displayMessage += '\n\n⏱️ Still running... Check back later.\n📊 See the "' + getOutputSheetName('status') + '" sheet for real-time progress.\n🛑 Use "Cancel Running Audit" to stop it.';
     }
     
     ui.alert('Audit Status', displayMessage, ui.ButtonSet.OK);
@@ -1177,7 +7359,7 @@ function showAbout() {
     '• Shows detailed permission information\n' +
     '• Identifies who has access to each file\n' +
     '• Real-time status tracking\n' +
-    '• Scheduled weekly audits (license)\n' +
+    '• Scheduled audits: daily, weekly or monthly (license)\n' +
     '• Fast automatic continuation (1-minute intervals)\n' +
     '• Automatic continuation for large Drive accounts\n\n' +
     'Use the filters in the audit sheet to find:\n' +